@@ -0,0 +1,113 @@
+/**
+ * Archive Cache Module
+ *
+ * This module keeps per-URL metadata from the previous run in the output directory:
+ * HTTP validators (ETag / Last-Modified) and content hashes for downloaded resources,
+ * and the __NEXT_DATA__ fingerprint, links and resources of each archived page.
+ * Incremental runs use it to send conditional requests and to skip pages that have
+ * not changed since the last archive.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { defaultLogger } = require('./logger');
+
+const CACHE_FILE_NAME = '.archiver-cache.json';
+
+/**
+ * Create an empty cache structure
+ * @returns {{pages: Object, resources: Object}} - Cache entries keyed by normalized URL
+ */
+function createEmptyCache() {
+    return {
+        pages: {},
+        resources: {}
+    };
+}
+
+/**
+ * Read the cache left by the previous run
+ * @param {string} outputDir - The base output directory
+ * @param {Object} [logger] - The logger to report an unreadable cache to
+ * @returns {{pages: Object, resources: Object}} - The previous cache, or an empty one if missing or unreadable
+ */
+function loadArchiveCache(outputDir, logger = defaultLogger) {
+    const cacheFilePath = path.join(outputDir, CACHE_FILE_NAME);
+    if (!fs.existsSync(cacheFilePath)) {
+        return createEmptyCache();
+    }
+
+    try {
+        const cache = JSON.parse(fs.readFileSync(cacheFilePath, 'utf8'));
+        return {
+            pages: cache.pages || {},
+            resources: cache.resources || {}
+        };
+    } catch (error) {
+        logger.warn(`Ignoring unreadable archive cache ${cacheFilePath}: ${error.message}`);
+        return createEmptyCache();
+    }
+}
+
+/**
+ * Write the cache for the next run
+ * @param {string} outputDir - The base output directory
+ * @param {{pages: Object, resources: Object}} cache - The cache entries collected during this run
+ */
+function saveArchiveCache(outputDir, cache) {
+    const cacheFilePath = path.join(outputDir, CACHE_FILE_NAME);
+    fs.writeFileSync(cacheFilePath, JSON.stringify({
+        updatedAt: new Date().toISOString(),
+        ...cache
+    }, null, 2));
+}
+
+/**
+ * Compute a stable hash of some content
+ * @param {string|Buffer} content - The content to hash
+ * @returns {string} - The SHA-256 hex digest
+ */
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Build the conditional request headers for a cached entry
+ * @param {Object} entry - A cache entry with optional etag and lastModified values
+ * @returns {Object} - Headers to send with the request (empty if the entry has no validators)
+ */
+function getConditionalHeaders(entry) {
+    const headers = {};
+    if (entry?.etag) {
+        headers['If-None-Match'] = entry.etag;
+    }
+    if (entry?.lastModified) {
+        headers['If-Modified-Since'] = entry.lastModified;
+    }
+    return headers;
+}
+
+/**
+ * Read the validators from a response so they can be sent on the next run.
+ * A 304 response may leave them out, in which case the previous values are kept.
+ * @param {Response} response - The fetch response
+ * @param {Object} [previousEntry] - The cache entry from the previous run
+ * @returns {{etag: string|null, lastModified: string|null}} - The validators
+ */
+function getValidators(response, previousEntry) {
+    return {
+        etag: response.headers.get('etag') || previousEntry?.etag || null,
+        lastModified: response.headers.get('last-modified') || previousEntry?.lastModified || null
+    };
+}
+
+module.exports = {
+    CACHE_FILE_NAME,
+    createEmptyCache,
+    loadArchiveCache,
+    saveArchiveCache,
+    hashContent,
+    getConditionalHeaders,
+    getValidators
+};
@@ -0,0 +1,178 @@
+/**
+ * Archive Verifier Module
+ *
+ * This module checks a finished archive offline. It walks the output directory, finds the
+ * references in HTML and CSS files with the same parser the rewrite phases use (attributes,
+ * srcset, <style> blocks and style attributes, url() and @import) and in JavaScript files
+ * with the patterns of the JS rewrite phase (dynamic import() and chunk paths), and resolves
+ * each local reference against the filesystem the way the preview server does. References
+ * to other sites, data: URLs and in-page anchors are not checked.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { forEachHtmlReference, forEachCssReference } = require('./urlRewriter');
+
+// Files the archiver writes for itself rather than as part of the website
+const IGNORED_FILES = ['report.html'];
+
+// Files larger than this are not read, as in the JS rewrite phase
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// JavaScript strings that are clearly paths to other files of the archive
+const JS_REFERENCE_PATTERNS = [
+    // Dynamic imports
+    /import\s*\(\s*["']([^"']+)["']\s*\)/g,
+    // Next.js chunk loading
+    /path:\s*["']([^"']+)["']/g,
+    // Next.js static files, before or after rewriting to a relative path
+    /["'](\/_next\/static\/[^"']+)["']/g,
+    /["']((?:\.\.?\/)+[^"'\s]+\.(?:js|css|json|png|jpe?g|gif|svg|webp|avif|ico|woff2?|ttf|otf))["']/g
+];
+
+/**
+ * Find every file in a directory, recursively
+ * @param {string} dirPath - The directory to walk
+ * @param {string[]} [files=[]] - Found files are appended to this list
+ * @returns {string[]} - The file paths
+ */
+function listFiles(dirPath, files = []) {
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+        const entryPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory()) {
+            listFiles(entryPath, files);
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Check whether a reference points at a file of the archive rather than another site,
+ * a data: URL or an anchor
+ * @param {string} reference - The reference as written in the file
+ * @returns {boolean} - True if it should resolve to a local file
+ */
+function isLocalReference(reference) {
+    return Boolean(reference)
+        && !reference.startsWith('#')
+        && !reference.startsWith('//')
+        && !/^[a-z][a-z0-9+.-]*:/i.test(reference);
+}
+
+/**
+ * Find the url() and @import references in CSS
+ * @param {string} css - The CSS text
+ * @returns {string[]} - The references as written
+ */
+function findCssReferences(css) {
+    const references = [];
+    forEachCssReference(css, reference => references.push(reference));
+    return references;
+}
+
+/**
+ * Find the references in an HTML document
+ * @param {string} html - The HTML text
+ * @returns {string[]} - The references as written
+ */
+function findHtmlReferences(html) {
+    const references = [];
+    forEachHtmlReference(html, reference => references.push(reference));
+    return references;
+}
+
+/**
+ * Find the file paths in JavaScript
+ * @param {string} js - The JavaScript source
+ * @returns {string[]} - The references as written
+ */
+function findJsReferences(js) {
+    const references = [];
+    for (const pattern of JS_REFERENCE_PATTERNS) {
+        let match;
+        while ((match = pattern.exec(js)) !== null) {
+            references.push(match[1]);
+        }
+    }
+    return references;
+}
+
+/**
+ * Resolve a local reference to a file, as the preview server would serve it: root-relative
+ * paths from the output directory, others from the directory of the referring file. A
+ * directory serves its index.html, and a path without an extension also matches a .html file.
+ * @param {string} reference - The reference as written
+ * @param {string} fromFile - The file the reference is in
+ * @param {string} outputDir - The output directory
+ * @returns {boolean} - True if the reference resolves to an existing file
+ */
+function resolvesToFile(reference, fromFile, outputDir) {
+    let referencePath = reference.replace(/[?#].*$/, '');
+    try {
+        referencePath = decodeURIComponent(referencePath);
+    } catch (error) {
+        // Keep malformed escapes as they are
+    }
+
+    const root = path.resolve(outputDir);
+    const target = referencePath.startsWith('/')
+        ? path.join(root, referencePath)
+        : path.resolve(path.dirname(fromFile), referencePath);
+    if (target !== root && !target.startsWith(`${root}${path.sep}`)) {
+        return false;
+    }
+
+    const candidates = [target, path.join(target, 'index.html')];
+    if (!path.extname(target)) {
+        candidates.push(`${target}.html`);
+    }
+    return candidates.some(candidate => {
+        try {
+            return fs.statSync(candidate).isFile();
+        } catch (error) {
+            return false;
+        }
+    });
+}
+
+/**
+ * Check every reference in the HTML, CSS and JavaScript files of an archive
+ * @param {string} outputDir - The output directory of a finished run
+ * @returns {{files: number, references: number, dangling: Array<{file: string, references: string[]}>}} -
+ *   How many files and local references were checked, and the references that point at
+ *   missing files, grouped by file (paths relative to the output directory)
+ * @throws {Error} - If the output directory does not exist
+ */
+function verifyArchive(outputDir) {
+    if (!fs.existsSync(outputDir) || !fs.statSync(outputDir).isDirectory()) {
+        throw new Error(`${outputDir} is not a directory`);
+    }
+
+    const finders = { '.html': findHtmlReferences, '.htm': findHtmlReferences, '.css': findCssReferences, '.js': findJsReferences };
+    const result = { files: 0, references: 0, dangling: [] };
+
+    for (const file of listFiles(outputDir).sort()) {
+        const relativeFile = path.relative(outputDir, file).replace(/\\/g, '/');
+        const findReferences = finders[path.extname(file).toLowerCase()];
+        if (!findReferences || IGNORED_FILES.includes(relativeFile) || fs.statSync(file).size > MAX_FILE_SIZE) {
+            continue;
+        }
+
+        result.files++;
+        const references = [...new Set(findReferences(fs.readFileSync(file, 'utf8')))].filter(isLocalReference);
+        result.references += references.length;
+
+        const dangling = references.filter(reference => !resolvesToFile(reference, file, outputDir));
+        if (dangling.length > 0) {
+            result.dangling.push({ file: relativeFile, references: dangling });
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    verifyArchive
+};
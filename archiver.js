@@ -0,0 +1,76 @@
+/**
+ * Archiver Module
+ *
+ * This module is the programmatic API of the archiver. createArchiver() returns an event
+ * emitter that reports the progress of a run; its run() method resolves with a summary
+ * of what was archived and rejects if the run could not complete.
+ *
+ * A run is stopped with archiver.abort(), or by aborting the AbortSignal passed as the
+ * signal option. The crawl state is saved so the run can be resumed with { resume: true },
+ * the browser is closed and run() rejects with the abort reason. The archiver never
+ * handles process signals itself; main.js maps Ctrl-C to abort().
+ *
+ * Events:
+ *   pageStart          - { url, depth } a page is about to be fetched or rendered
+ *   pageSaved          - { url, htmlFile, depth, unchanged } a page was written to the output directory
+ *                        (unchanged: kept from the last incremental run)
+ *   resourceDownloaded - { url, file, unchanged } an asset was written to the output directory
+ *   phaseStart         - { phase } a phase of the run started: seed, crawl, retry, rewriteUrls,
+ *                        html, sanitize, maskedSvg, jsEdgeCases, css, js, nextData, search, report or preview
+ *   phaseEnd           - { phase, durationMs } a phase finished
+ *   error              - { kind, url, reason } a page or asset could not be archived, even after
+ *                        retrying; the run carries on. Only emitted when there is a listener.
+ *
+ * Example:
+ *   const { createArchiver } = require('mintlify-docs-archiver');
+ *   const archiver = createArchiver({ domain: 'docs.xxxx.com', maxPages: -1, outputDir: 'archive' });
+ *   archiver.on('pageSaved', ({ url }) => console.log(`Saved ${url}`));
+ *   process.once('SIGINT', () => archiver.abort());
+ *   const result = await archiver.run();
+ */
+
+const EventEmitter = require('events');
+const { runScraper } = require('./scraper');
+
+/**
+ * Create an archiver for one documentation site
+ * @param {Object} options - runScraper options, such as domain, outputDir, maxPages and concurrency
+ * @param {AbortSignal} [options.signal] - Aborts the run like archiver.abort()
+ * @returns {EventEmitter} - The archiver; call its run() method to start archiving and abort(reason) to stop it. run() resolves with
+ *   { domain, outputDir, homePage, pages, resources, failures, report, stats, timings }, where pages lists
+ *   the archived pages with the version/language variant each belongs to, resources lists { url, file } for every asset, failures lists { kind, url, reason },
+ *   report holds the counts from report.json, and timings holds startedAt, finishedAt, durationMs and the duration of each phase.
+ */
+function createArchiver(options = {}) {
+    const archiver = new EventEmitter();
+    const controller = new AbortController();
+    let running = null;
+
+    if (options.signal) {
+        if (options.signal.aborted) {
+            controller.abort(options.signal.reason);
+        } else {
+            options.signal.addEventListener('abort', () => controller.abort(options.signal.reason), { once: true });
+        }
+    }
+
+    // An archiver runs once; calling run() again returns the same promise
+    archiver.run = () => {
+        if (!running) {
+            running = runScraper({ ...options, events: archiver, signal: controller.signal });
+        }
+        return running;
+    };
+
+    // Stop the run; without a reason, run() rejects with an AbortError
+    archiver.abort = (reason) => {
+        controller.abort(reason);
+    };
+
+    return archiver;
+}
+
+module.exports = {
+    createArchiver,
+    runScraper
+};
@@ -0,0 +1,209 @@
+/**
+ * Auth Module
+ *
+ * This module handles the credentials used to crawl docs that sit behind a login:
+ * cookies loaded from a Netscape cookie jar (cookies.txt) or a JSON file, extra HTTP
+ * headers, and basic-auth credentials. It can also capture a session by letting the
+ * user log in once in a visible browser window and saving the resulting cookies.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+// Fields Puppeteer accepts when setting a cookie
+const COOKIE_FIELDS = ['name', 'value', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite'];
+
+/**
+ * Parse a Netscape cookie jar, as exported by curl, wget or browser extensions
+ * @param {string} text - The cookies.txt content
+ * @returns {Object[]} - Cookies in Puppeteer's format
+ */
+function parseNetscapeCookies(text) {
+    const cookies = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        let line = rawLine.trim();
+        let httpOnly = false;
+
+        // curl marks HttpOnly cookies with a prefix on an otherwise commented-out line
+        if (line.startsWith('#HttpOnly_')) {
+            line = line.slice('#HttpOnly_'.length);
+            httpOnly = true;
+        } else if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const fields = line.split('\t');
+        if (fields.length < 7) continue;
+
+        const [domain, includeSubdomains, cookiePath, secure, expires, name, ...valueParts] = fields;
+        cookies.push({
+            name,
+            value: valueParts.join('\t'),
+            // A leading dot makes the cookie apply to subdomains as well
+            domain: includeSubdomains === 'TRUE' && !domain.startsWith('.') ? `.${domain}` : domain,
+            path: cookiePath || '/',
+            expires: Number(expires) > 0 ? Number(expires) : -1,
+            httpOnly,
+            secure: secure === 'TRUE'
+        });
+    }
+
+    return cookies;
+}
+
+/**
+ * Keep only the cookie fields Puppeteer accepts
+ * @param {Object} cookie - A cookie from a file or from the browser
+ * @returns {Object} - The cookie with known fields only
+ */
+function normalizeCookie(cookie) {
+    const normalized = {};
+    for (const field of COOKIE_FIELDS) {
+        if (cookie[field] !== undefined) {
+            normalized[field] = cookie[field];
+        }
+    }
+    // Browser extensions export the expiry as expirationDate
+    if (normalized.expires === undefined && cookie.expirationDate !== undefined) {
+        normalized.expires = cookie.expirationDate;
+    }
+    return normalized;
+}
+
+/**
+ * Load cookies from a Netscape cookie jar or a JSON file.
+ * JSON can be a list of cookies or an object with a `cookies` list (as saved by the login step).
+ * @param {string} filePath - The cookie file
+ * @returns {Object[]} - Cookies in Puppeteer's format
+ * @throws {Error} - If the file cannot be read or parsed
+ */
+function loadCookies(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Could not read cookie file ${filePath}: ${error.message}`);
+    }
+
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+        return parseNetscapeCookies(text);
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(trimmed);
+    } catch (error) {
+        throw new Error(`Cookie file ${filePath} is not valid JSON: ${error.message}`);
+    }
+
+    const cookies = Array.isArray(parsed) ? parsed : parsed.cookies;
+    if (!Array.isArray(cookies) || cookies.some(cookie => !cookie || !cookie.name || !cookie.domain)) {
+        throw new Error(`Cookie file ${filePath} must contain a list of cookies with a name and a domain`);
+    }
+    return cookies.map(normalizeCookie);
+}
+
+/**
+ * Save cookies to a JSON file that only the current user can read
+ * @param {string} filePath - The file to write
+ * @param {Object[]} cookies - The cookies to save
+ */
+function saveCookies(filePath, cookies) {
+    const content = JSON.stringify({
+        savedAt: new Date().toISOString(),
+        cookies: cookies.map(normalizeCookie)
+    }, null, 2);
+    fs.writeFileSync(filePath, content, { mode: 0o600 });
+}
+
+/**
+ * Build the Cookie header for a request
+ * @param {Object[]} cookies - The available cookies
+ * @param {string} urlString - The URL being requested
+ * @returns {string} - The header value, or an empty string if no cookie applies
+ */
+function getCookieHeader(cookies, urlString) {
+    const { protocol, hostname, pathname } = new URL(urlString);
+    const now = Date.now() / 1000;
+
+    return cookies
+        .filter(cookie => {
+            const domain = cookie.domain.replace(/^\./, '');
+            const domainMatches = hostname === domain || (cookie.domain.startsWith('.') && hostname.endsWith(`.${domain}`));
+            const pathMatches = pathname.startsWith(cookie.path || '/');
+            const expired = cookie.expires > 0 && cookie.expires < now;
+            return domainMatches && pathMatches && !expired && (!cookie.secure || protocol === 'https:');
+        })
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+}
+
+/**
+ * Turn header lines such as "X-Api-Key: secret" into a headers object
+ * @param {string[]|Object} headers - Header lines, or an object that is returned as is
+ * @returns {Object} - Header names mapped to values
+ * @throws {Error} - If a line has no colon
+ */
+function parseHeaderLines(headers) {
+    if (!Array.isArray(headers)) return { ...headers };
+
+    const parsed = {};
+    for (const line of headers) {
+        const separatorIndex = line.indexOf(':');
+        if (separatorIndex <= 0) {
+            throw new Error(`Invalid header "${line}", expected "Name: value"`);
+        }
+        parsed[line.slice(0, separatorIndex).trim()] = line.slice(separatorIndex + 1).trim();
+    }
+    return parsed;
+}
+
+/**
+ * Build the Authorization header for basic auth
+ * @param {string} credentials - "username:password"
+ * @returns {string} - The header value
+ * @throws {Error} - If there is no colon between the username and password
+ */
+function getBasicAuthHeader(credentials) {
+    if (!credentials.includes(':')) {
+        throw new Error('Basic auth credentials must be given as username:password');
+    }
+    return `Basic ${Buffer.from(credentials).toString('base64')}`;
+}
+
+/**
+ * Let the user log in in a visible browser window and return the session cookies
+ * @param {Browser} browser - A headed Puppeteer browser
+ * @param {string} loginUrl - The page to open, usually the docs home page
+ * @returns {Promise<Object[]>} - All cookies the browser holds once the user confirms
+ */
+async function captureLoginSession(browser, loginUrl) {
+    const page = await browser.newPage();
+    await page.goto(loginUrl, { waitUntil: 'domcontentloaded' });
+
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    await new Promise(resolve => {
+        prompt.question('\nLog in in the browser window. When the docs are visible, press Enter here to save the session... ', () => {
+            prompt.close();
+            resolve();
+        });
+    });
+
+    // page.cookies() only returns cookies for the current URL; SSO logins set them on several domains
+    const client = await page.createCDPSession();
+    const { cookies } = await client.send('Network.getAllCookies');
+    await page.close();
+    return cookies.map(normalizeCookie);
+}
+
+module.exports = {
+    parseNetscapeCookies,
+    loadCookies,
+    saveCookies,
+    getCookieHeader,
+    parseHeaderLines,
+    getBasicAuthHeader,
+    captureLoginSession
+};
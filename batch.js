@@ -0,0 +1,221 @@
+/**
+ * Batch Module
+ *
+ * This module archives several documentation sites in one run, as listed in a manifest.
+ * Each site is written to its own subdirectory of the batch output directory. A bounded
+ * number of sites are crawled at the same time, all in one shared browser. When every
+ * site is done, a combined index.html and a batch-report.json with the status of each
+ * site are written to the batch output directory.
+ *
+ * Aborting the batch's signal aborts the sites being crawled, which save their crawl
+ * state, and skips the ones not started yet. They are reported as interrupted.
+ *
+ * A manifest is a JSON file (or a CommonJS module) with a list of sites, either as a
+ * plain array or as { "defaults": {...}, "sites": [...] }. A site is a domain string or
+ * an object with a `domain`, an optional `name` for its subdirectory, and any runScraper
+ * options for that site.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runScraper, launchBrowser } = require('./scraper');
+const { createLimiter } = require('./concurrency');
+const { defaultLogger } = require('./logger');
+
+const REPORT_FILE_NAME = 'batch-report.json';
+const INDEX_FILE_NAME = 'index.html';
+
+/**
+ * Load a manifest file
+ * @param {string} manifestPath - Path of a .json or .js manifest
+ * @returns {{defaults: Object, sites: Array<{name: string, options: Object}>}} - The shared defaults and the sites
+ * @throws {Error} - If the file cannot be read or is not a valid manifest
+ */
+function loadManifest(manifestPath) {
+    const absolutePath = path.resolve(manifestPath);
+    if (!fs.existsSync(absolutePath)) {
+        throw new Error(`Manifest ${manifestPath} not found`);
+    }
+
+    let manifest;
+    try {
+        manifest = absolutePath.endsWith('.json')
+            ? JSON.parse(fs.readFileSync(absolutePath, 'utf8'))
+            : require(absolutePath);
+    } catch (error) {
+        throw new Error(`Could not load manifest ${manifestPath}: ${error.message}`);
+    }
+
+    const { defaults = {}, sites } = Array.isArray(manifest) ? { sites: manifest } : (manifest || {});
+    if (!Array.isArray(sites) || sites.length === 0) {
+        throw new Error(`Manifest ${manifestPath} must list at least one site`);
+    }
+    if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+        throw new Error(`Manifest ${manifestPath} has invalid defaults, expected an object of options`);
+    }
+
+    const names = new Set();
+    const entries = sites.map((site, index) => {
+        const { name, ...options } = typeof site === 'string' ? { domain: site } : (site || {});
+        if (typeof options.domain !== 'string' || !options.domain.includes('.')) {
+            throw new Error(`Site ${index + 1} in ${manifestPath} needs a domain such as docs.example.com`);
+        }
+
+        // The name becomes a directory, so keep it to a single safe path segment
+        const directoryName = String(name || options.domain).replace(/[^a-zA-Z0-9._-]+/g, '-');
+        if (names.has(directoryName)) {
+            throw new Error(`Site name ${directoryName} is used more than once in ${manifestPath}`);
+        }
+        names.add(directoryName);
+
+        return { name: directoryName, options };
+    });
+
+    return { defaults, sites: entries };
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the combined index page linking to every archived site
+ * @param {Object[]} results - The status of each site, as in the batch report
+ * @returns {string} - The HTML document
+ */
+function buildIndexHtml(results) {
+    const rows = results.map(result => {
+        const title = result.homePage
+            ? `<a href="${escapeHtml(`${result.name}/${result.homePage}`)}">${escapeHtml(result.domain)}</a>`
+            : escapeHtml(result.domain);
+        const details = result.status === 'complete'
+            ? `${result.pages} pages, ${result.resources} resources${result.failures > 0 ? `, ${result.failures} failed URLs` : ''}`
+            : escapeHtml(result.error || result.status);
+        return `      <tr><td>${title}</td><td class="${result.status}">${result.status}</td><td>${details}</td></tr>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Archived documentation</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; }
+    td, th { padding: 0.4rem 1rem; border-bottom: 1px solid #ddd; text-align: left; }
+    .complete { color: #15803d; }
+    .failed { color: #b91c1c; }
+    .interrupted { color: #b45309; }
+  </style>
+</head>
+<body>
+  <h1>Archived documentation</h1>
+  <p>Generated ${escapeHtml(new Date().toISOString())}</p>
+  <table>
+    <thead><tr><th>Site</th><th>Status</th><th>Details</th></tr></thead>
+    <tbody>
+${rows.join('\n')}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Archive every site in a batch
+ * @param {Array<{name: string, options: Object}>} sites - The sites with their resolved runScraper options
+ * @param {Object} batchOptions - Batch options
+ * @param {string} [batchOptions.outputDir='output'] - Directory that gets one subdirectory per site
+ * @param {number} [batchOptions.siteConcurrency=2] - Number of sites crawled at the same time
+ * @param {boolean} [batchOptions.headless=true] - Whether the shared browser runs without a window
+ * @param {string} [batchOptions.proxy=''] - Proxy URL for the shared browser
+ * @param {AbortSignal} [batchOptions.signal] - Stops the batch; each site's run is aborted with it
+ * @param {Object} [batchOptions.logger] - Logger for the batch progress (each site logs with its own options)
+ * @returns {Promise<Object>} - The batch report, also written to batch-report.json
+ */
+async function runBatch(sites, { outputDir = 'output', siteConcurrency = 2, headless = true, proxy = '', signal = null, logger = defaultLogger } = {}) {
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    logger.info(`Archiving ${sites.length} sites into ${outputDir}/, ${siteConcurrency} at a time`);
+
+    const startedAt = new Date();
+    const browser = await launchBrowser({ headless, proxy });
+    const limitSite = createLimiter(siteConcurrency);
+
+    let results;
+    try {
+        results = await Promise.all(sites.map(({ name, options }) => limitSite(async () => {
+            const siteStartedAt = Date.now();
+            const siteOutputDir = path.join(outputDir, name);
+            logger.info(`\n=== Archiving ${options.domain} into ${siteOutputDir}/ ===\n`);
+
+            try {
+                const result = await runScraper({ ...options, outputDir: siteOutputDir, browser, signal });
+                const pages = result.pages.length;
+                logger.info(`\n=== Finished ${options.domain}: ${pages} pages ===\n`);
+                return {
+                    name,
+                    domain: options.domain,
+                    // A run that archived nothing (unreachable site, blocked by robots.txt) is not a success
+                    status: pages > 0 ? 'complete' : 'failed',
+                    ...(pages > 0 ? {} : { error: 'No pages were archived' }),
+                    homePage: result.homePage,
+                    pages,
+                    resources: result.resources.length,
+                    failures: result.failures.length,
+                    outputDir: siteOutputDir,
+                    durationMs: Date.now() - siteStartedAt
+                };
+            } catch (error) {
+                const status = signal?.aborted ? 'interrupted' : 'failed';
+                logger.error(`\n=== ${status === 'failed' ? 'Failed to archive' : 'Interrupted'} ${options.domain}: ${error.message} ===\n`);
+                return {
+                    name,
+                    domain: options.domain,
+                    status,
+                    error: error.message,
+                    outputDir: siteOutputDir,
+                    durationMs: Date.now() - siteStartedAt
+                };
+            }
+        })));
+    } finally {
+        await browser.close();
+    }
+
+    const report = {
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        complete: results.filter(result => result.status === 'complete').length,
+        failed: results.filter(result => result.status === 'failed').length,
+        interrupted: results.filter(result => result.status === 'interrupted').length,
+        sites: results
+    };
+
+    fs.writeFileSync(path.join(outputDir, REPORT_FILE_NAME), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(outputDir, INDEX_FILE_NAME), buildIndexHtml(results));
+
+    logger.info(`\nBatch complete: ${report.complete} sites archived, ${report.failed} failed${report.interrupted > 0 ? `, ${report.interrupted} interrupted` : ''}`);
+    results.forEach(result => {
+        logger.info(`  ${{ complete: 'ok', failed: 'FAILED', interrupted: 'STOPPED' }[result.status].padEnd(7)} ${result.domain} -> ${result.outputDir}${result.error ? ` (${result.error})` : ''}`);
+    });
+    logger.info(`Index: ${path.resolve(outputDir, INDEX_FILE_NAME)}`);
+    logger.info(`Report: ${path.resolve(outputDir, REPORT_FILE_NAME)}`);
+
+    return report;
+}
+
+module.exports = {
+    loadManifest,
+    runBatch
+};
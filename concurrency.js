@@ -0,0 +1,66 @@
+/**
+ * Concurrency Module
+ *
+ * This module provides small helpers for running asynchronous work with a bounded
+ * number of tasks in flight. The scraper uses it to cap the number of concurrent
+ * asset downloads shared by all crawl workers, and to space out requests to each host.
+ */
+
+/**
+ * Creates a limiter that runs at most `concurrency` tasks at the same time
+ * @param {number} concurrency - Maximum number of tasks allowed to run at once
+ * @returns {function(function(): Promise<*>): Promise<*>} - Schedules a task and resolves with its result
+ */
+function createLimiter(concurrency) {
+    const limit = Math.max(1, Number(concurrency) || 1);
+    const waiting = [];
+    let active = 0;
+
+    // Start queued tasks while there are free slots
+    const next = () => {
+        while (active < limit && waiting.length > 0) {
+            const { task, resolve, reject } = waiting.shift();
+            active++;
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    next();
+                });
+        }
+    };
+
+    return function limited(task) {
+        return new Promise((resolve, reject) => {
+            waiting.push({ task, resolve, reject });
+            next();
+        });
+    };
+}
+
+/**
+ * Creates a rate limiter that spaces out tasks sharing a key (e.g. a host name).
+ * Each call reserves the next free slot for its key, so callers are released one
+ * interval apart in the order they asked, however many are waiting at once.
+ * @returns {function(string, number): Promise<void>} - Waits until a request for the key may start, given the minimum interval in ms
+ */
+function createRateLimiter() {
+    const nextSlot = new Map(); // key -> earliest time the next request may start
+
+    return function waitForSlot(key, intervalMs) {
+        if (!(intervalMs > 0)) return Promise.resolve();
+
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot.get(key) || 0);
+        nextSlot.set(key, slot + intervalMs);
+
+        if (slot <= now) return Promise.resolve();
+        return new Promise(resolve => setTimeout(resolve, slot - now));
+    };
+}
+
+module.exports = {
+    createLimiter,
+    createRateLimiter
+};
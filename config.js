@@ -0,0 +1,63 @@
+/**
+ * Config Module
+ *
+ * This module finds and loads the optional archiver config file. The file holds the
+ * same options as the command line, keyed by their runScraper names (e.g. outputDir,
+ * maxPages, allowedDomains). It can be JSON (archiver.config.json) or a CommonJS
+ * module (archiver.config.js) that exports the options object.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Looked up in the working directory, in this order, when no --config path is given
+const CONFIG_FILE_NAMES = ['archiver.config.js', 'archiver.config.json'];
+
+/**
+ * Find the config file in a directory
+ * @param {string} [directory] - The directory to look in (default: the working directory)
+ * @returns {string|null} - The path of the first config file found, or null if there is none
+ */
+function findConfigFile(directory = process.cwd()) {
+    for (const fileName of CONFIG_FILE_NAMES) {
+        const filePath = path.join(directory, fileName);
+        if (fs.existsSync(filePath)) {
+            return filePath;
+        }
+    }
+    return null;
+}
+
+/**
+ * Load the options from a config file
+ * @param {string} configPath - Path of a .js or .json config file
+ * @returns {Object} - The options object
+ * @throws {Error} - If the file is missing, cannot be parsed or does not contain an object
+ */
+function loadConfigFile(configPath) {
+    const absolutePath = path.resolve(configPath);
+    if (!fs.existsSync(absolutePath)) {
+        throw new Error(`Config file ${configPath} not found`);
+    }
+
+    let config;
+    try {
+        config = absolutePath.endsWith('.json')
+            ? JSON.parse(fs.readFileSync(absolutePath, 'utf8'))
+            : require(absolutePath);
+    } catch (error) {
+        throw new Error(`Could not load config file ${configPath}: ${error.message}`);
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Config file ${configPath} must contain an object of options`);
+    }
+
+    return config;
+}
+
+module.exports = {
+    CONFIG_FILE_NAMES,
+    findConfigFile,
+    loadConfigFile
+};
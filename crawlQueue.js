@@ -0,0 +1,162 @@
+/**
+ * Crawl Queue Module
+ *
+ * This module implements the queue of pages waiting to be crawled. Each entry keeps
+ * the link depth at which the page was found. Entries are kept in a binary heap so
+ * the crawl order can be chosen:
+ *   - bfs:        first in, first out (breadth-first)
+ *   - dfs:        deepest pages first, so the crawl follows a branch before moving on
+ *   - navigation: pages listed in the site navigation first, in sidebar order, then breadth-first
+ * Membership checks use a map keyed by normalized URL, so they stay O(1) on large sites.
+ */
+
+const QUEUE_ORDERS = ['bfs', 'dfs', 'navigation'];
+
+/**
+ * Create an empty crawl queue
+ * @param {Object} options - Queue options
+ * @param {string} [options.order='bfs'] - One of 'bfs', 'dfs' or 'navigation'
+ * @param {function(string): string} [options.normalize] - Maps a URL to its membership key
+ * @returns {Object} - The queue
+ */
+function createCrawlQueue({ order = 'bfs', normalize = urlString => urlString } = {}) {
+    if (!QUEUE_ORDERS.includes(order)) {
+        throw new Error(`Unknown queue order "${order}", expected one of: ${QUEUE_ORDERS.join(', ')}`);
+    }
+
+    const heap = [];
+    const queued = new Map(); // normalized URL -> entry
+    const navigationIndex = new Map(); // normalized URL -> position in the navigation
+    let insertions = 0;
+
+    // Returns true if entry a should be crawled before entry b
+    const comesBefore = (a, b) => {
+        // The start page (depth 0) always goes first, whatever the order
+        if ((a.depth === 0) !== (b.depth === 0)) {
+            return a.depth === 0;
+        }
+        if (order === 'dfs' && a.depth !== b.depth) {
+            return a.depth > b.depth;
+        }
+        if (order === 'navigation' && a.navigationIndex !== b.navigationIndex) {
+            return a.navigationIndex < b.navigationIndex;
+        }
+        return a.sequence < b.sequence;
+    };
+
+    const swap = (i, j) => {
+        [heap[i], heap[j]] = [heap[j], heap[i]];
+    };
+
+    const siftUp = (index) => {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!comesBefore(heap[index], heap[parent])) break;
+            swap(index, parent);
+            index = parent;
+        }
+    };
+
+    const siftDown = (index) => {
+        for (;;) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let first = index;
+            if (left < heap.length && comesBefore(heap[left], heap[first])) first = left;
+            if (right < heap.length && comesBefore(heap[right], heap[first])) first = right;
+            if (first === index) break;
+            swap(index, first);
+            index = first;
+        }
+    };
+
+    return {
+        get length() {
+            return heap.length;
+        },
+
+        /**
+         * Check whether a URL is waiting in the queue
+         * @param {string} urlString - The URL to check
+         * @returns {boolean}
+         */
+        has(urlString) {
+            return queued.has(normalize(urlString));
+        },
+
+        /**
+         * Add a URL unless it is already queued
+         * @param {string} urlString - The page URL
+         * @param {number} depth - The link depth at which the page was found
+         * @returns {boolean} - True if the URL was added
+         */
+        push(urlString, depth) {
+            const key = normalize(urlString);
+            if (queued.has(key)) return false;
+
+            const entry = {
+                url: urlString,
+                depth,
+                sequence: insertions++,
+                navigationIndex: navigationIndex.has(key) ? navigationIndex.get(key) : Infinity
+            };
+            queued.set(key, entry);
+            heap.push(entry);
+            siftUp(heap.length - 1);
+            return true;
+        },
+
+        /**
+         * Remove and return the next page to crawl
+         * @returns {{url: string, depth: number}|undefined} - The next entry, or undefined if empty
+         */
+        shift() {
+            if (heap.length === 0) return undefined;
+
+            const next = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                siftDown(0);
+            }
+            queued.delete(normalize(next.url));
+            return { url: next.url, depth: next.depth };
+        },
+
+        /**
+         * Set the navigation order used by the 'navigation' ordering.
+         * Entries already in the queue are re-prioritized.
+         * @param {string[]} urls - Page URLs in the order they appear in the navigation
+         */
+        setNavigationOrder(urls) {
+            urls.forEach((urlString, index) => {
+                const key = normalize(urlString);
+                if (!navigationIndex.has(key)) {
+                    navigationIndex.set(key, index);
+                }
+            });
+
+            for (const [key, entry] of queued) {
+                entry.navigationIndex = navigationIndex.has(key) ? navigationIndex.get(key) : Infinity;
+            }
+            for (let i = (heap.length >> 1) - 1; i >= 0; i--) {
+                siftDown(i);
+            }
+        },
+
+        /**
+         * List the queued entries in crawl order without removing them
+         * @returns {{url: string, depth: number}[]}
+         */
+        toArray() {
+            return [...heap]
+                .sort((a, b) => (comesBefore(a, b) ? -1 : 1))
+                .map(({ url, depth }) => ({ url, depth }));
+        }
+    };
+}
+
+module.exports = {
+    QUEUE_ORDERS,
+    createCrawlQueue
+};
@@ -0,0 +1,318 @@
+/**
+ * Crawl Report Module
+ *
+ * This module collects what went wrong or differently than expected during a run: errors,
+ * responses with a status other than 2xx, redirects and URLs that were skipped, each with
+ * the pages that referred to it. At the end of the run it is written to report.json and
+ * a human-readable report.html in the output directory, together with the internal links
+ * that returned 404 on the live site, a breakdown of the HTTP statuses received and the
+ * trackers and widgets the sanitizer removed from the pages.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_JSON_FILE_NAME = 'report.json';
+const REPORT_HTML_FILE_NAME = 'report.html';
+
+// Referring pages kept per URL; shared assets are referred to by every page
+const MAX_REFERRERS = 10;
+
+/**
+ * Create an empty crawl report
+ * @returns {Object} - The report, with methods to record what happened during the run
+ *   and build() to produce the final report
+ */
+function createCrawlReport() {
+    let referrers = new Map(); // URL -> { pages: string[], count: number }
+    let responses = new Map(); // URL -> { kind, url, status, statusText }
+    let redirects = new Map(); // URL -> { kind, url, location }
+    let skipped = new Map(); // URL -> { kind, url, reason }
+    let errors = []; // { kind, url, message, phase }
+    let removed = new Map(); // file + tracker name -> { kind, name, url, count, elements }
+
+    const getReferrers = (urlString) => referrers.get(urlString) || { pages: [], count: 0 };
+
+    return {
+        /**
+         * Record that a page refers to a URL, as a link or as an asset
+         * @param {string} urlString - The URL referred to, without its hash fragment
+         * @param {string} referrer - The URL of the referring page
+         */
+        addReferrer(urlString, referrer) {
+            if (!referrers.has(urlString)) {
+                referrers.set(urlString, { pages: [], count: 0 });
+            }
+            const entry = referrers.get(urlString);
+            if (entry.pages.includes(referrer)) return;
+            entry.count++;
+            if (entry.pages.length < MAX_REFERRERS) {
+                entry.pages.push(referrer);
+            }
+        },
+
+        /**
+         * Record the HTTP status a URL was answered with. A URL fetched again (for example
+         * when retrying) keeps its last status.
+         * @param {string} kind - page, resource or maskedSvg
+         * @param {string} urlString - The requested URL
+         * @param {number} status - The HTTP status
+         * @param {string} [statusText=''] - The status text
+         */
+        recordResponse(kind, urlString, status, statusText = '') {
+            responses.set(urlString, { kind, url: urlString, status, statusText });
+        },
+
+        /**
+         * Record that a URL was redirected
+         * @param {string} kind - page, resource or maskedSvg
+         * @param {string} urlString - The requested URL
+         * @param {string} location - The URL it ended up at
+         */
+        recordRedirect(kind, urlString, location) {
+            if (location && location !== urlString) {
+                redirects.set(urlString, { kind, url: urlString, location });
+            }
+        },
+
+        /**
+         * Record a URL that was not archived on purpose, once per URL
+         * @param {string} kind - page or resource
+         * @param {string} urlString - The skipped URL
+         * @param {string} reason - Why: scope, exclude, include, depth, robots, domain or max-pages
+         */
+        recordSkipped(kind, urlString, reason) {
+            if (!skipped.has(urlString)) {
+                skipped.set(urlString, { kind, url: urlString, reason });
+            }
+        },
+
+        /**
+         * Record an error that did not stop the run
+         * @param {string} kind - page, resource, maskedSvg or file
+         * @param {string} target - The URL, or the path of the file in the output directory
+         * @param {Error|string} error - The error
+         * @param {string} [phase=''] - The phase of the run it happened in
+         */
+        recordError(kind, target, error, phase = '') {
+            errors.push({ kind, url: target, message: error instanceof Error ? error.message : String(error), ...(phase ? { phase } : {}) });
+        },
+
+        /**
+         * Record an element the sanitizer removed from an archived file
+         * @param {string} file - The path of the file in the output directory
+         * @param {string} name - The name of the tracker or widget
+         * @param {string} category - analytics, telemetry, chat, assistant or custom
+         * @param {string} element - What was removed: script, inline script, iframe, noscript, pixel or link
+         */
+        recordRemoved(file, name, category, element) {
+            const key = `${file}\n${name}`;
+            if (!removed.has(key)) {
+                removed.set(key, { kind: category, name, url: file, count: 0, elements: [] });
+            }
+            const entry = removed.get(key);
+            entry.count++;
+            if (!entry.elements.includes(element)) {
+                entry.elements.push(element);
+            }
+        },
+
+        /**
+         * Get the collected data in a serializable form, for the crawl state journal
+         * @returns {Object} - The collected data
+         */
+        toJSON() {
+            return {
+                referrers: [...referrers.entries()],
+                responses: [...responses.values()],
+                redirects: [...redirects.values()],
+                skipped: [...skipped.values()],
+                errors,
+                removed: [...removed.values()]
+            };
+        },
+
+        /**
+         * Restore data saved with toJSON(), when resuming a crawl
+         * @param {Object} saved - The saved data
+         */
+        restore(saved) {
+            referrers = new Map(saved.referrers);
+            responses = new Map(saved.responses.map(entry => [entry.url, entry]));
+            redirects = new Map(saved.redirects.map(entry => [entry.url, entry]));
+            skipped = new Map(saved.skipped.map(entry => [entry.url, entry]));
+            errors = [...saved.errors];
+            removed = new Map((saved.removed || []).map(entry => [`${entry.url}\n${entry.name}`, entry]));
+        },
+
+        /**
+         * Build the final report
+         * @param {Object} options - Report options
+         * @param {string} options.domain - The archived domain; its pages are the internal links
+         * @param {Object[]} [options.failures=[]] - The URLs that could not be archived, as { kind, url, reason }
+         * @returns {Object} - The report, as written to report.json
+         */
+        build({ domain, failures = [] }) {
+            const withReferrers = (entry) => {
+                const { pages, count } = getReferrers(entry.url);
+                return { ...entry, referrers: pages, ...(count > pages.length ? { referrerCount: count } : {}) };
+            };
+            const byUrl = (a, b) => a.kind.localeCompare(b.kind) || a.url.localeCompare(b.url);
+
+            const statusCounts = {};
+            for (const { status } of responses.values()) {
+                statusCounts[status] = (statusCounts[status] || 0) + 1;
+            }
+
+            // 304 answers a conditional request for an unchanged file; it is not a problem
+            const nonOkResponses = [...responses.values()]
+                .filter(({ status }) => (status < 200 || status >= 300) && status !== 304)
+                .sort(byUrl)
+                .map(withReferrers);
+
+            const brokenLinks = nonOkResponses.filter(entry => {
+                if (entry.kind !== 'page' || entry.status !== 404) return false;
+                try {
+                    return new URL(entry.url).hostname === domain;
+                } catch (error) {
+                    return false;
+                }
+            });
+
+            return {
+                generatedAt: new Date().toISOString(),
+                domain,
+                summary: {
+                    responses: responses.size,
+                    nonOkResponses: nonOkResponses.length,
+                    brokenLinks: brokenLinks.length,
+                    redirects: redirects.size,
+                    skipped: skipped.size,
+                    errors: errors.length,
+                    failures: failures.length,
+                    removed: [...removed.values()].reduce((sum, entry) => sum + entry.count, 0)
+                },
+                statusCounts,
+                brokenLinks,
+                failures: [...failures].sort(byUrl).map(withReferrers),
+                errors: errors.map(withReferrers),
+                nonOkResponses,
+                redirects: [...redirects.values()].sort(byUrl).map(withReferrers),
+                skipped: [...skipped.values()].sort((a, b) => a.reason.localeCompare(b.reason) || byUrl(a, b)).map(withReferrers),
+                removed: [...removed.values()].sort((a, b) => a.name.localeCompare(b.name) || a.url.localeCompare(b.url))
+            };
+        }
+    };
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the HTML table for one section of the report
+ * @param {string} title - The section heading
+ * @param {string[]} columns - The column headings; a Referred from column is added for entries with referrers
+ * @param {Object[]} entries - The report entries
+ * @param {Function} getCells - Returns the cell texts of an entry, one per column
+ * @returns {string} - The HTML section
+ */
+function buildSection(title, columns, entries, getCells) {
+    if (entries.length === 0) {
+        return `  <h2>${escapeHtml(title)}</h2>\n  <p class="none">None</p>`;
+    }
+
+    const hasReferrers = entries.some(entry => entry.referrers);
+    const rows = entries.map(entry => {
+        const cells = getCells(entry).map(cell => `<td>${escapeHtml(cell)}</td>`);
+        if (!hasReferrers) {
+            return `      <tr>${cells.join('')}</tr>`;
+        }
+        const referrers = entry.referrers.map(referrer => `<a href="${escapeHtml(referrer)}">${escapeHtml(referrer)}</a>`);
+        if (entry.referrerCount) {
+            referrers.push(`and ${entry.referrerCount - entry.referrers.length} more`);
+        }
+        return `      <tr>${cells.join('')}<td>${referrers.join('<br>')}</td></tr>`;
+    });
+
+    return `  <h2>${escapeHtml(title)} (${entries.length})</h2>
+  <table>
+    <thead><tr>${(hasReferrers ? [...columns, 'Referred from'] : columns).map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+    <tbody>
+${rows.join('\n')}
+    </tbody>
+  </table>`;
+}
+
+/**
+ * Build the human-readable version of a report
+ * @param {Object} report - The report, as returned by build()
+ * @returns {string} - The HTML document
+ */
+function buildReportHtml(report) {
+    const statusRows = Object.entries(report.statusCounts)
+        .map(([status, count]) => `      <tr><td>${escapeHtml(status)}</td><td>${count}</td></tr>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Crawl report for ${escapeHtml(report.domain)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; margin-bottom: 1rem; }
+    td, th { padding: 0.4rem 1rem; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; word-break: break-all; }
+    .none { color: #15803d; }
+  </style>
+</head>
+<body>
+  <h1>Crawl report for ${escapeHtml(report.domain)}</h1>
+  <p>Generated ${escapeHtml(report.generatedAt)}</p>
+  <h2>HTTP statuses</h2>
+  <table>
+    <thead><tr><th>Status</th><th>URLs</th></tr></thead>
+    <tbody>
+${statusRows.join('\n')}
+    </tbody>
+  </table>
+${buildSection('Broken internal links', ['URL', 'Status'], report.brokenLinks, entry => [entry.url, `${entry.status} ${entry.statusText}`])}
+${buildSection('Not archived', ['Kind', 'URL', 'Reason'], report.failures, entry => [entry.kind, entry.url, entry.reason])}
+${buildSection('Errors', ['Kind', 'URL or file', 'Error'], report.errors, entry => [entry.kind, entry.url, entry.message])}
+${buildSection('Responses other than 2xx', ['Kind', 'URL', 'Status'], report.nonOkResponses, entry => [entry.kind, entry.url, `${entry.status} ${entry.statusText}`])}
+${buildSection('Redirects', ['Kind', 'URL', 'Redirected to'], report.redirects, entry => [entry.kind, entry.url, entry.location])}
+${buildSection('Skipped', ['Kind', 'URL', 'Reason'], report.skipped, entry => [entry.kind, entry.url, entry.reason])}
+${buildSection('Removed trackers and widgets', ['Tracker', 'Category', 'File', 'Removed'], report.removed, entry => [entry.name, entry.kind, entry.url, `${entry.count} (${entry.elements.join(', ')})`])}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a report to report.json and report.html in the output directory
+ * @param {string} outputDir - The base output directory
+ * @param {Object} report - The report, as returned by build()
+ * @returns {{json: string, html: string}} - The paths of the written files
+ */
+function writeCrawlReport(outputDir, report) {
+    const jsonPath = path.join(outputDir, REPORT_JSON_FILE_NAME);
+    const htmlPath = path.join(outputDir, REPORT_HTML_FILE_NAME);
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+    fs.writeFileSync(htmlPath, buildReportHtml(report));
+    return { json: jsonPath, html: htmlPath };
+}
+
+module.exports = {
+    REPORT_JSON_FILE_NAME,
+    REPORT_HTML_FILE_NAME,
+    createCrawlReport,
+    writeCrawlReport
+};
@@ -0,0 +1,76 @@
+/**
+ * Crawl State Module
+ *
+ * This module persists the crawl progress (queue, processed pages and resources,
+ * collected page data) to a journal file in the output directory, so an interrupted
+ * crawl can be resumed with --resume instead of starting from scratch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_FILE_NAME = '.archiver-state.json';
+const STATE_VERSION = 2;
+
+/**
+ * Get the path of the state journal for an output directory
+ * @param {string} outputDir - The base output directory
+ * @returns {string} - The path of the state file
+ */
+function getStateFilePath(outputDir) {
+    return path.join(outputDir, STATE_FILE_NAME);
+}
+
+/**
+ * Write the crawl state to the output directory.
+ * The file is written to a temporary path first and then renamed, so an interruption
+ * in the middle of a write never leaves a truncated journal behind.
+ * @param {string} outputDir - The base output directory
+ * @param {Object} state - The serializable crawl state
+ */
+function saveCrawlState(outputDir, state) {
+    const stateFilePath = getStateFilePath(outputDir);
+    const tempFilePath = `${stateFilePath}.tmp`;
+
+    const content = JSON.stringify({
+        version: STATE_VERSION,
+        updatedAt: new Date().toISOString(),
+        ...state
+    });
+
+    fs.writeFileSync(tempFilePath, content);
+    fs.renameSync(tempFilePath, stateFilePath);
+}
+
+/**
+ * Read the crawl state from the output directory
+ * @param {string} outputDir - The base output directory
+ * @returns {Object|null} - The saved state, or null if there is no journal
+ * @throws {Error} - If the journal exists but cannot be parsed or has an unknown version
+ */
+function loadCrawlState(outputDir) {
+    const stateFilePath = getStateFilePath(outputDir);
+    if (!fs.existsSync(stateFilePath)) {
+        return null;
+    }
+
+    let state;
+    try {
+        state = JSON.parse(fs.readFileSync(stateFilePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Crawl state file ${stateFilePath} is corrupt: ${error.message}`);
+    }
+
+    if (state.version !== STATE_VERSION) {
+        throw new Error(`Crawl state file ${stateFilePath} has unsupported version ${state.version}`);
+    }
+
+    return state;
+}
+
+module.exports = {
+    STATE_FILE_NAME,
+    getStateFilePath,
+    saveCrawlState,
+    loadCrawlState
+};
@@ -0,0 +1,262 @@
+/**
+ * Fidelity Test Module
+ *
+ * This module checks how well a finished archive works without a network. It serves the
+ * output directory on localhost with http-server, as the preview scripts do, and opens
+ * every archived page in headless Chrome with all requests that leave localhost blocked.
+ * For each page it records the blocked requests, local files that are missing, console
+ * errors and whether Next.js hydrated the page, and gives the page an offline score out
+ * of 100. The results are written to fidelity-report.json in the output directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const httpServer = require('http-server');
+const { launchBrowser } = require('./scraper');
+const { createLimiter } = require('./concurrency');
+const { defaultLogger } = require('./logger');
+
+const FIDELITY_REPORT_FILE_NAME = 'fidelity-report.json';
+
+// Points taken off a page's score of 100, per blocked URL, missing file and console error,
+// and once if the page did not hydrate
+const PENALTIES = {
+    escape: 10,
+    missing: 10,
+    consoleError: 5,
+    hydrationFailed: 50
+};
+
+// Console errors React and Next.js log when server and client render differently
+const HYDRATION_ERROR_REGEX = /hydrat|Minified React error #(418|423|425)\b/i;
+
+// Console errors for failed requests repeat what the request events already recorded
+const FAILED_RESOURCE_MESSAGE = 'Failed to load resource';
+
+// HTML files in the output directory that are reports, not archived pages
+const IGNORED_FILES = ['report.html'];
+
+/**
+ * Find the archived pages in an output directory
+ * @param {string} outputDir - The output directory
+ * @returns {string[]} - The URL path of every HTML file, with index.html left off
+ */
+function listArchivedPages(outputDir) {
+    const pagePaths = [];
+    const walk = (dirPath) => {
+        for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+            const entryPath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) {
+                walk(entryPath);
+                continue;
+            }
+
+            const relativePath = path.relative(outputDir, entryPath).replace(/\\/g, '/');
+            if (entry.isFile() && relativePath.endsWith('.html') && !IGNORED_FILES.includes(relativePath)) {
+                pagePaths.push(`/${relativePath.replace(/(^|\/)index\.html$/, '$1')}`);
+            }
+        }
+    };
+    walk(outputDir);
+    return pagePaths.sort();
+}
+
+/**
+ * Serve a directory on a free port on localhost
+ * @param {string} rootDir - The directory to serve
+ * @returns {Promise<{origin: string, close: function(): Promise<void>}>} - The origin it is served at, and a function to stop the server
+ */
+function startServer(rootDir) {
+    const server = httpServer.createServer({ root: rootDir, cache: -1, showDir: 'false' });
+    return new Promise((resolve, reject) => {
+        server.server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.server.address();
+            resolve({
+                origin: `http://127.0.0.1:${port}`,
+                close: () => new Promise(resolveClose => server.server.close(() => resolveClose()))
+            });
+        });
+    });
+}
+
+/**
+ * Calculate a page's offline score from its test result
+ * @param {Object} result - The result of testPage
+ * @returns {number} - The score, from 0 to 100
+ */
+function scorePage(result) {
+    if (result.error) return 0;
+
+    const score = 100
+        - PENALTIES.escape * result.escapes.length
+        - PENALTIES.missing * result.missing.length
+        - PENALTIES.consoleError * result.consoleErrors.length
+        - (result.hydrated === false ? PENALTIES.hydrationFailed : 0);
+    return Math.max(0, score);
+}
+
+/**
+ * Open one archived page with every request that leaves localhost blocked
+ * @param {Object} browser - The Puppeteer browser
+ * @param {string} origin - The origin the archive is served at
+ * @param {string} pagePath - The URL path of the page
+ * @param {Object} options - Navigation options
+ * @param {number} options.timeout - Navigation timeout in milliseconds
+ * @param {string} options.waitUntil - When the navigation counts as finished
+ * @returns {Promise<Object>} - { page, escapes, missing, consoleErrors, hydrated, error }, where hydrated
+ *   is null for pages without Next.js data
+ */
+async function testPage(browser, origin, pagePath, { timeout, waitUntil }) {
+    const escapes = new Set();
+    const missing = new Set();
+    const consoleErrors = [];
+    let hydrationError = false;
+
+    const isLocal = (requestUrl) => requestUrl.startsWith(`${origin}/`) || /^(data|blob):/.test(requestUrl);
+
+    const page = await browser.newPage();
+    try {
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            if (request.isInterceptResolutionHandled()) return;
+            if (isLocal(request.url())) {
+                request.continue();
+            } else {
+                escapes.add(request.url());
+                request.abort('blockedbyclient');
+            }
+        });
+        page.on('response', response => {
+            if (isLocal(response.url()) && response.status() >= 400) {
+                missing.add(response.url().slice(origin.length));
+            }
+        });
+        page.on('requestfailed', request => {
+            if (isLocal(request.url()) && !request.url().startsWith('data:')) {
+                missing.add(request.url().slice(origin.length));
+            }
+        });
+        page.on('console', message => {
+            if (message.type() !== 'error') return;
+            const text = message.text();
+            if (HYDRATION_ERROR_REGEX.test(text)) hydrationError = true;
+            if (!text.startsWith(FAILED_RESOURCE_MESSAGE)) consoleErrors.push(text);
+        });
+        page.on('pageerror', error => {
+            if (HYDRATION_ERROR_REGEX.test(error.message)) hydrationError = true;
+            consoleErrors.push(error.message);
+        });
+
+        await page.goto(`${origin}${pagePath}`, { waitUntil, timeout });
+
+        // The Next.js pages router sets window.next.router once the page has hydrated
+        const hasRouter = await page.evaluate(() => {
+            if (!document.getElementById('__NEXT_DATA__')) return null;
+            return Boolean(window.next && window.next.router);
+        });
+
+        return {
+            page: pagePath,
+            escapes: [...escapes].sort(),
+            missing: [...missing].sort(),
+            consoleErrors,
+            hydrated: hasRouter === null ? null : hasRouter && !hydrationError,
+            error: null
+        };
+    } catch (error) {
+        return {
+            page: pagePath,
+            escapes: [...escapes].sort(),
+            missing: [...missing].sort(),
+            consoleErrors,
+            hydrated: null,
+            error: error.message
+        };
+    } finally {
+        await page.close().catch(() => {});
+    }
+}
+
+/**
+ * Test every archived page in an output directory offline and write fidelity-report.json
+ * @param {Object} options - Test options
+ * @param {string} [options.outputDir='output'] - The output directory of a finished run
+ * @param {boolean} [options.headless=true] - Whether the browser runs without a window
+ * @param {number} [options.concurrency=4] - Number of pages open at the same time
+ * @param {number} [options.timeout=60000] - Navigation timeout in milliseconds
+ * @param {string} [options.waitUntil='networkidle2'] - When a page counts as loaded
+ * @param {Object} [options.logger] - Logger for the progress
+ * @returns {Promise<Object>} - The report: { generatedAt, pages, averageScore, escapedHosts, failedPages },
+ *   where failedPages counts the pages that made outbound requests, did not hydrate or did not load
+ * @throws {Error} - If the output directory does not exist
+ */
+async function runFidelityTest({ outputDir = 'output', headless = true, concurrency = 4, timeout = 60000, waitUntil = 'networkidle2', logger = defaultLogger } = {}) {
+    if (!fs.existsSync(outputDir) || !fs.statSync(outputDir).isDirectory()) {
+        throw new Error(`${outputDir} is not a directory`);
+    }
+
+    const pagePaths = listArchivedPages(outputDir);
+    logger.info(`Testing ${pagePaths.length} pages from ${outputDir}/ with outbound requests blocked`);
+
+    const server = await startServer(outputDir);
+    let browser;
+    let pages;
+    try {
+        browser = await launchBrowser({ headless });
+        const limitPage = createLimiter(concurrency);
+        pages = await Promise.all(pagePaths.map(pagePath => limitPage(async () => {
+            const result = await testPage(browser, server.origin, pagePath, { timeout, waitUntil });
+            result.score = scorePage(result);
+
+            const problems = [
+                result.escapes.length > 0 ? `${result.escapes.length} blocked requests` : null,
+                result.missing.length > 0 ? `${result.missing.length} missing files` : null,
+                result.consoleErrors.length > 0 ? `${result.consoleErrors.length} console errors` : null,
+                result.hydrated === false ? 'not hydrated' : null,
+                result.error
+            ].filter(Boolean);
+            logger.info(`${String(result.score).padStart(3)}  ${pagePath}${problems.length > 0 ? `  (${problems.join(', ')})` : ''}`);
+            result.escapes.forEach(escapeUrl => logger.debug(`       blocked: ${escapeUrl}`));
+            result.missing.forEach(missingPath => logger.debug(`       missing: ${missingPath}`));
+            return result;
+        })));
+    } finally {
+        if (browser) {
+            await browser.close();
+        }
+        await server.close();
+    }
+
+    const escapedHosts = {};
+    for (const result of pages) {
+        for (const escapeUrl of result.escapes) {
+            const { host } = new URL(escapeUrl);
+            escapedHosts[host] = (escapedHosts[host] || 0) + 1;
+        }
+    }
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        averageScore: pages.length > 0 ? Math.round(pages.reduce((sum, result) => sum + result.score, 0) / pages.length) : null,
+        failedPages: pages.filter(result => result.escapes.length > 0 || result.hydrated === false || result.error).length,
+        escapedHosts,
+        pages
+    };
+
+    const reportPath = path.join(outputDir, FIDELITY_REPORT_FILE_NAME);
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    logger.info(`\nAverage offline score: ${report.averageScore ?? 'n/a'} over ${pages.length} pages`);
+    if (Object.keys(escapedHosts).length > 0) {
+        logger.info(`Blocked requests by host: ${Object.entries(escapedHosts).map(([host, count]) => `${host} ${count}`).join(', ')}`);
+    }
+    logger.info(`Report: ${path.resolve(reportPath)}`);
+
+    return report;
+}
+
+module.exports = {
+    FIDELITY_REPORT_FILE_NAME,
+    runFidelityTest
+};
@@ -8,19 +8,18 @@
 
 const fs = require('fs/promises');
 const path = require('path');
-
-// Debug flag - this should be imported from a config file in a real application
-const DEBUG = process.env.DEBUG === 'true';
+const { defaultLogger } = require('./logger');
 
 /**
  * Extracts Next.js data from HTML files
  * @param {Object} collectedData - The data collected from all pages
  * @param {string} outputDir - The base output directory
  * @param {string} jsonDir - The directory to save JSON files
+ * @param {Object} [logger] - The logger to report progress to
  * @returns {Promise<void>}
  */
-async function extractNextJsData(collectedData, outputDir, jsonDir) {
-    console.log("\n--- Starting Next.js data extraction phase ---\n");
+async function extractNextJsData(collectedData, outputDir, jsonDir, logger = defaultLogger) {
+    logger.info("\n--- Starting Next.js data extraction phase ---\n");
     
     let processedCount = 0;
     
@@ -28,8 +27,7 @@ async function extractNextJsData(collectedData, outputDir, jsonDir) {
     for (const page of collectedData.pages) {
         if (!page.htmlFile) continue;
         
-        // Debug: Log the page object
-        console.log(`\n[DEBUG] Processing page:`, page);
+        logger.debug(`\nExtracting Next.js data from page:`, page);
         
         const htmlFilePath = path.join(outputDir, page.htmlFile);
         
@@ -37,24 +35,22 @@ async function extractNextJsData(collectedData, outputDir, jsonDir) {
             // Read the HTML file
             const htmlContent = await fs.readFile(htmlFilePath, 'utf8');
             
-            // Debug: Log the first 500 characters of the HTML file
-            console.log(`[DEBUG] First 500 chars of ${page.htmlFile}:\n`, htmlContent.slice(0, 500));
+            logger.trace(`First 500 chars of ${page.htmlFile}:\n`, htmlContent.slice(0, 500));
             
             // Find the __NEXT_DATA__ script which contains JSON data
-            const nextDataMatch = htmlContent.match(/<script id="__NEXT_DATA__" type="application\/json">([\s\S]*?)<\/script>/);
+            const nextDataJson = findNextDataJson(htmlContent);
             
-            if (!nextDataMatch) {
-                console.log(`[DEBUG] __NEXT_DATA__ script NOT FOUND in ${page.htmlFile}`);
+            if (!nextDataJson) {
+                logger.debug(`__NEXT_DATA__ script not found in ${page.htmlFile}`);
                 continue; // Skip to next page
             }
             
-            if (nextDataMatch && nextDataMatch[1]) {
+            if (nextDataJson) {
                 try {
                     // Parse the JSON
-                    const jsonData = JSON.parse(nextDataMatch[1]);
+                    const jsonData = JSON.parse(nextDataJson);
                     
-                    // Debug: Log the first keys of the parsed JSON
-                    console.log(`[DEBUG] Parsed __NEXT_DATA__ keys:`, Object.keys(jsonData));
+                    logger.trace(`Parsed __NEXT_DATA__ keys:`, Object.keys(jsonData));
                     
                     // Create a filename based on the page path for the processed data
                     const jsonFilename = page.path === '/' 
@@ -78,15 +74,15 @@ async function extractNextJsData(collectedData, outputDir, jsonDir) {
                             compiledSource = jsonData.props.pageProps.ssg.content.compiledSource;
                         } else {
                             // Try to find compiledSource by searching through the object recursively
-                            console.log(`[DEBUG] Searching for compiledSource in JSON data...`);
+                            logger.trace(`Searching for compiledSource in JSON data...`);
                             compiledSource = findCompiledSource(jsonData);
                         }
                         
                         if (compiledSource) {
-                            console.log(`[DEBUG] Found compiledSource! Length: ${compiledSource.length}`);
+                            logger.debug(`Found compiledSource, length ${compiledSource.length}`);
                             
                             // Parse the compiled source
-                            const processedContent = parseCompiledSource(compiledSource, page.url);
+                            const processedContent = parseCompiledSource(compiledSource, page.url, logger);
                             
                             // Save the processed content
                             const jsonFilePath = path.join(jsonDir, jsonFilename);
@@ -95,28 +91,267 @@ async function extractNextJsData(collectedData, outputDir, jsonDir) {
                             // Add the json file path to the page data
                             page.processedDataFile = path.relative(outputDir, jsonFilePath);
                             
-                            console.log(`Processed and saved Next.js data from ${page.htmlFile} to ${jsonFilename}`);
+                            logger.info(`Processed and saved Next.js data from ${page.htmlFile} to ${jsonFilename}`);
                             processedCount++;
                         } else {
-                            console.log(`[DEBUG] No compiledSource found in page ${page.path}`);
+                            logger.debug(`No compiledSource found in page ${page.path}`);
                         }
                     } catch (processError) {
-                        console.error(`Error processing compiledSource in ${page.htmlFile}: ${processError.message}`);
+                        logger.error(`Error processing compiledSource in ${page.htmlFile}: ${processError.message}`);
                     }
                     
                 } catch (parseError) {
-                    console.error(`Error parsing Next.js data in ${page.htmlFile}: ${parseError.message}`);
+                    logger.error(`Error parsing Next.js data in ${page.htmlFile}: ${parseError.message}`);
                 }
             }
         } catch (error) {
-            console.error(`Error processing ${page.htmlFile} for Next.js data: ${error.message}`);
+            logger.error(`Error processing ${page.htmlFile} for Next.js data: ${error.message}`);
         }
     }
     
-    console.log(`\nProcessed and saved Next.js data from ${processedCount} pages`);
+    logger.info(`\nProcessed and saved Next.js data from ${processedCount} pages`);
     collectedData.stats.processedNextJsData = processedCount;
     
-    console.log("\n--- Next.js data extraction phase complete ---\n");
+    logger.info("\n--- Next.js data extraction phase complete ---\n");
+}
+
+/**
+ * Find the raw JSON text of the __NEXT_DATA__ script in an HTML document
+ * @param {string} htmlContent - The HTML content of the page
+ * @returns {string|null} - The JSON text if found, null otherwise
+ */
+function findNextDataJson(htmlContent) {
+    const nextDataMatch = htmlContent.match(/<script id="__NEXT_DATA__" type="application\/json">([\s\S]*?)<\/script>/);
+    return nextDataMatch && nextDataMatch[1] ? nextDataMatch[1] : null;
+}
+
+/**
+ * Parse the __NEXT_DATA__ JSON embedded in an HTML document
+ * @param {string} htmlContent - The HTML content of the page
+ * @returns {Object|null} - The parsed data, or null if missing or invalid
+ */
+function parseNextData(htmlContent) {
+    const nextDataJson = findNextDataJson(htmlContent);
+    if (!nextDataJson) return null;
+    
+    try {
+        return JSON.parse(nextDataJson);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Build the _next/data payload the Next.js router fetches when it navigates to a page
+ * client-side. The payload is the page's props from __NEXT_DATA__; the path follows the
+ * router, which puts the site's basePath in front of /_next/data/, always puts the locale in
+ * front of the page path on i18n sites and maps the root page to index.json.
+ * @param {Object} nextData - The parsed __NEXT_DATA__ object of the page
+ * @param {string} pagePath - The URL path of the page
+ * @param {string} [basePath=''] - The path the site is served under, such as /docs, without a trailing slash
+ * @returns {{dataPath: string, payload: Object}|null} - The path the router requests, which is basePath
+ *   followed by /_next/data/, and the JSON it expects; null for pages the router renders without fetching data
+ */
+function getNextDataPayload(nextData, pagePath, basePath = '') {
+    if (!nextData || !nextData.buildId || !nextData.props || typeof nextData.props !== 'object') return null;
+    
+    // Only pages with getStaticProps or getServerSideProps load their props from _next/data
+    const { props, buildId, locale } = nextData;
+    if (!(props.__N_SSG || props.__N_SSP || nextData.gsp || nextData.gssp)) return null;
+    
+    let route = pagePath;
+    try {
+        route = decodeURIComponent(pagePath);
+    } catch (error) {
+        // Keep malformed escapes as they are
+    }
+    route = route.replace(/\/+$/, '') || '/';
+    
+    // The router's paths leave the basePath out
+    if (basePath && (route === basePath || route.startsWith(`${basePath}/`))) {
+        route = route.slice(basePath.length) || '/';
+    }
+    
+    if (locale && route !== `/${locale}` && !route.startsWith(`/${locale}/`)) {
+        route = route === '/' ? `/${locale}` : `/${locale}${route}`;
+    }
+    const assetPath = route === '/' ? '/index' : /^\/index(\/|$)/.test(route) ? `/index${route}` : route;
+    
+    return { dataPath: `${basePath}/_next/data/${buildId}${assetPath}.json`, payload: props };
+}
+
+/**
+ * Collect the page paths listed in the navigation data of a Mintlify site.
+ * Mintlify embeds its sidebar configuration in pageProps under keys such as
+ * navigation, docsNavWithMetadata, tabs and anchors. Groups nest their pages
+ * in `pages` arrays that contain either path strings or `{ href }` entries.
+ * @param {Object} nextData - The parsed __NEXT_DATA__ object
+ * @returns {string[]} - Page paths (or absolute URLs) in navigation order, without duplicates
+ */
+function extractNavigationPaths(nextData) {
+    const pageProps = nextData?.props?.pageProps;
+    if (!pageProps || typeof pageProps !== 'object') return [];
+    
+    const paths = [];
+    const seenPaths = new Set();
+    
+    const addPath = (value) => {
+        const pagePath = normalizeNavigationPath(value);
+        if (pagePath && !seenPaths.has(pagePath)) {
+            seenPaths.add(pagePath);
+            paths.push(pagePath);
+        }
+    };
+    
+    const walkNavigation = (node, depth) => {
+        if (!node || typeof node !== 'object' || depth > 20) return;
+        
+        if (Array.isArray(node)) {
+            node.forEach(item => walkNavigation(item, depth + 1));
+            return;
+        }
+        
+        if (typeof node.href === 'string') {
+            addPath(node.href);
+        }
+        
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'pages' && Array.isArray(value)) {
+                value.forEach(item => typeof item === 'string' ? addPath(item) : walkNavigation(item, depth + 1));
+            } else if (typeof value === 'object') {
+                walkNavigation(value, depth + 1);
+            }
+        }
+    };
+    
+    findNavigationRoots(pageProps, walkNavigation);
+    
+    return paths;
+}
+
+/**
+ * Turn a navigation entry into a page path
+ * @param {*} value - The entry as written in the navigation data
+ * @returns {string|null} - The path with a leading slash (or the absolute URL), or null if it is not a page
+ */
+function normalizeNavigationPath(value) {
+    if (typeof value !== 'string') return null;
+    
+    let pagePath = value.trim();
+    if (!pagePath || /^(mailto:|javascript:|#)/i.test(pagePath)) return null;
+    
+    // Navigation entries are usually written without a leading slash
+    if (!/^https?:\/\//i.test(pagePath) && !pagePath.startsWith('/')) {
+        pagePath = '/' + pagePath;
+    }
+    return pagePath;
+}
+
+/**
+ * Call a function with every navigation root near the top of pageProps
+ * @param {Object} pageProps - The pageProps of the parsed __NEXT_DATA__ object
+ * @param {Function} walk - Called with each root and a depth of 0
+ */
+function findNavigationRoots(pageProps, walk) {
+    const navigationKeyRegex = /^(navigation|docsNav\w*|navigationItems|tabs|anchors)$/i;
+    const findRoots = (obj, depth) => {
+        if (!obj || typeof obj !== 'object' || Array.isArray(obj) || depth > 3) return;
+        
+        for (const [key, value] of Object.entries(obj)) {
+            if (navigationKeyRegex.test(key)) {
+                walk(value, 0);
+            } else if (typeof value === 'object') {
+                findRoots(value, depth + 1);
+            }
+        }
+    };
+    
+    findRoots(pageProps, 0);
+}
+
+/**
+ * Collect the versions and languages declared in the navigation data of a Mintlify site.
+ * mint.json tags navigation groups with a `version`; docs.json nests the navigation in
+ * `versions` and `languages` arrays of `{ version, ... }` and `{ language, ... }` entries.
+ * Each combination of version and language found is a variant, named after them
+ * ("v2", "fr" or "v2/fr"), with the pages it lists and the path prefix its pages share,
+ * such as /v1 or /fr. A variant served from the root of the site has an empty prefix.
+ * @param {Object} nextData - The parsed __NEXT_DATA__ object
+ * @returns {Array<{name: string, version: string|null, language: string|null, prefix: string, paths: string[]}>} -
+ *   The variants in the order they are declared, or an empty array if the site has none
+ */
+function extractNavigationVariants(nextData) {
+    const pageProps = nextData?.props?.pageProps;
+    if (!pageProps || typeof pageProps !== 'object') return [];
+    
+    const variants = new Map(); // name -> variant
+    
+    const addPath = (value, context) => {
+        const pagePath = normalizeNavigationPath(value);
+        if (!pagePath || (!context.version && !context.language)) return;
+        
+        const name = [context.version, context.language].filter(Boolean).join('/');
+        if (!variants.has(name)) {
+            variants.set(name, { name, version: context.version, language: context.language, prefix: '', paths: [] });
+        }
+        const variant = variants.get(name);
+        if (!variant.paths.includes(pagePath)) {
+            variant.paths.push(pagePath);
+        }
+    };
+    
+    const walkNavigation = (node, depth, context = { version: null, language: null }) => {
+        if (!node || typeof node !== 'object' || depth > 20) return;
+        
+        if (Array.isArray(node)) {
+            node.forEach(item => walkNavigation(item, depth + 1, context));
+            return;
+        }
+        
+        const nodeContext = {
+            version: typeof node.version === 'string' && node.version.trim() ? node.version.trim() : context.version,
+            language: typeof node.language === 'string' && node.language.trim() ? node.language.trim() : context.language
+        };
+        
+        if (typeof node.href === 'string') {
+            addPath(node.href, nodeContext);
+        }
+        
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'pages' && Array.isArray(value)) {
+                value.forEach(item => typeof item === 'string' ? addPath(item, nodeContext) : walkNavigation(item, depth + 1, nodeContext));
+            } else if (typeof value === 'object') {
+                walkNavigation(value, depth + 1, nodeContext);
+            }
+        }
+    };
+    
+    findNavigationRoots(pageProps, walkNavigation);
+    
+    // The prefix is the leading path segments all pages of a variant share; a lone page
+    // only tells us its directory. Prefixes shared by two variants don't tell them apart.
+    const result = [...variants.values()];
+    for (const variant of result) {
+        const segmentLists = variant.paths
+            .filter(pagePath => pagePath.startsWith('/'))
+            .map(pagePath => pagePath.split('/').filter(Boolean));
+        if (segmentLists.length === 0) continue;
+        
+        let common = segmentLists.length === 1 ? segmentLists[0].slice(0, -1) : segmentLists[0];
+        for (const segments of segmentLists.slice(1)) {
+            let length = 0;
+            while (length < common.length && common[length] === segments[length]) length++;
+            common = common.slice(0, length);
+        }
+        variant.prefix = common.length > 0 ? `/${common.join('/')}` : '';
+    }
+    for (const variant of result) {
+        if (variant.prefix && result.some(other => other !== variant && other.prefix === variant.prefix)) {
+            variant.prefix = '';
+        }
+    }
+    
+    return result;
 }
 
 /**
@@ -147,9 +382,10 @@ function findCompiledSource(obj) {
  * Parse the compiledSource content to extract meaningful data in JSON format
  * @param {string} compiledSource - The compiledSource content from Next.js data
  * @param {string} url - The URL of the page (optional)
+ * @param {Object} [logger] - The logger to report parse errors to
  * @returns {Object} - Parsed content as a JSON object
  */
-function parseCompiledSource(compiledSource, url) {
+function parseCompiledSource(compiledSource, url, logger = defaultLogger) {
     // Create a base structure for our parsed content
     const parsedContent = {
         title: "",
@@ -564,7 +800,7 @@ function parseCompiledSource(compiledSource, url) {
         
         return parsedContent;
     } catch (error) {
-        console.error("Error parsing compiledSource:", error);
+        logger.error("Error parsing compiledSource:", error);
         return {
             error: error.message,
             meta: {
@@ -621,5 +857,9 @@ function cleanJsxFromObject(obj) {
 module.exports = {
     extractNextJsData,
     parseCompiledSource,
-    cleanJsxFromObject
+    cleanJsxFromObject,
+    parseNextData,
+    getNextDataPayload,
+    extractNavigationPaths,
+    extractNavigationVariants
 }; 
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Logger Module
+ *
+ * This module provides the leveled logger shared by the scraper and the Next.js data
+ * extractor. Messages below the configured level are dropped. In text format messages
+ * are printed as they are, errors and warnings on stderr; in JSON format every message
+ * is one JSON object per line with its time, level and message, for log ingestion.
+ * A log file, if given, receives the same messages with a timestamp and level.
+ */
+
+const fs = require('fs');
+const util = require('util');
+
+// From least to most verbose; 'silent' turns logging off
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug', 'trace'];
+const LOG_FORMATS = ['text', 'json'];
+
+/**
+ * Create a logger
+ * @param {Object} options - Logger options
+ * @param {string} [options.level='info'] - The most verbose level to log: silent, error, warn, info, debug or trace
+ * @param {string} [options.format='text'] - text for plain messages, json for one JSON object per line
+ * @param {string} [options.file] - Also append the messages to this file
+ * @param {Object} [options.fields] - Extra fields added to every JSON message, such as the site being archived
+ * @returns {Object} - The logger, with error, warn, info, debug and trace methods taking console.log-style
+ *   arguments, isLevelEnabled(level), and close() to close the log file
+ * @throws {Error} - If the level or format is unknown, or the log file cannot be opened
+ */
+function createLogger({ level = 'info', format = 'text', file = '', fields = {} } = {}) {
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Unknown log level ${level}, expected one of ${LOG_LEVELS.join(', ')}`);
+    }
+    if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`Unknown log format ${format}, expected one of ${LOG_FORMATS.join(', ')}`);
+    }
+
+    const threshold = LOG_LEVELS.indexOf(level);
+    // Written synchronously so the file keeps the order of the messages and is complete
+    // even if the process exits right after logging
+    let fileDescriptor = file ? fs.openSync(file, 'a') : null;
+
+    const isLevelEnabled = (messageLevel) => messageLevel !== 'silent' && LOG_LEVELS.indexOf(messageLevel) <= threshold;
+
+    const write = (messageLevel, args) => {
+        if (!isLevelEnabled(messageLevel)) return;
+
+        const time = new Date().toISOString();
+        const message = util.format(...args);
+        // Blank lines only separate sections of the text output
+        if (format === 'json' && !message.trim()) return;
+        const jsonLine = format === 'json'
+            ? JSON.stringify({ time, level: messageLevel, ...fields, msg: message.trim() })
+            : null;
+
+        const stream = messageLevel === 'error' || messageLevel === 'warn' ? process.stderr : process.stdout;
+        stream.write(`${jsonLine ?? message}\n`);
+
+        if (fileDescriptor !== null) {
+            fs.writeSync(fileDescriptor, `${jsonLine ?? `${time} ${messageLevel.toUpperCase()} ${message.trim()}`}\n`);
+        }
+    };
+
+    return {
+        level,
+        isLevelEnabled,
+        error: (...args) => write('error', args),
+        warn: (...args) => write('warn', args),
+        info: (...args) => write('info', args),
+        debug: (...args) => write('debug', args),
+        trace: (...args) => write('trace', args),
+        close() {
+            if (fileDescriptor !== null) {
+                fs.closeSync(fileDescriptor);
+                fileDescriptor = null;
+            }
+        }
+    };
+}
+
+// Logger for code that is used without one being passed in
+const defaultLogger = createLogger();
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_FORMATS,
+    createLogger,
+    defaultLogger
+};
@@ -0,0 +1,136 @@
+/**
+ * Page Interactions Module
+ *
+ * This module prepares a rendered page for its HTML snapshot. Mintlify only renders the
+ * content of an Accordion once it is opened, and of a Tab or CodeGroup panel once it is
+ * selected, and images below the fold load when they are scrolled into view. Opening and
+ * selecting each of them and scrolling through the page puts that content in the DOM and
+ * makes the browser request its assets, so the scraper's response listener collects them.
+ * Logos, images and CSS variables also change with the color scheme, so a page can be
+ * switched to each scheme in turn for the browser to request the assets of both themes.
+ */
+
+// Values of the prefers-color-scheme media feature
+const COLOR_SCHEMES = ['light', 'dark'];
+
+// Upper bounds, so a page with unusual markup can't keep the crawl busy
+const MAX_CLICKS = 200;
+const MAX_SCROLL_STEPS = 100;
+
+// Time for the page to react to a click or a scroll, in milliseconds
+const SETTLE_DELAY_MS = 100;
+
+// How long the network has to be quiet afterwards before the snapshot is taken
+const NETWORK_IDLE_MS = 500;
+
+/**
+ * Open accordions, select every tab and scroll through the page. Runs in the browser,
+ * so it can't use anything from this module.
+ * @param {Object} limits - { maxClicks, maxScrollSteps, settleDelay }
+ * @returns {Promise<{accordions: number, tabs: number, scrollSteps: number}>} - What was done
+ */
+async function expandInBrowser({ maxClicks, maxScrollSteps, settleDelay }) {
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const counts = { accordions: 0, tabs: 0, scrollSteps: 0 };
+    let clicks = 0;
+
+    // Menus and dialogs in the header and sidebar also use aria-expanded; leave them closed
+    const content = document.querySelector('#content-area') || document.querySelector('main') || document.querySelector('article') || document.body;
+
+    for (const details of content.querySelectorAll('details:not([open])')) {
+        details.open = true;
+        counts.accordions++;
+    }
+
+    // Opening an accordion can reveal nested ones, so look again until every toggle has been
+    // clicked once; toggles that stay closed are not clicked again
+    const clickedToggles = new Set();
+    let closed;
+    while (clicks < maxClicks && (closed = [...content.querySelectorAll('button[aria-expanded="false"], [role="button"][aria-expanded="false"]')]
+        .filter(toggle => !clickedToggles.has(toggle))).length > 0) {
+        for (const toggle of closed) {
+            if (clicks >= maxClicks) break;
+            clickedToggles.add(toggle);
+            toggle.click();
+            clicks++;
+            await sleep(settleDelay);
+            if (toggle.getAttribute('aria-expanded') === 'true') counts.accordions++;
+        }
+    }
+
+    // Tabs and code groups: select each tab once, then go back to the one selected at first
+    for (const tabList of content.querySelectorAll('[role="tablist"]')) {
+        const tabs = [...tabList.querySelectorAll('[role="tab"]')];
+        const initialTab = tabs.find(tab => tab.getAttribute('aria-selected') === 'true');
+        for (const tab of tabs) {
+            if (tab === initialTab || clicks >= maxClicks) continue;
+            tab.click();
+            clicks++;
+            counts.tabs++;
+            await sleep(settleDelay);
+        }
+        if (initialTab && tabs.length > 1) {
+            initialTab.click();
+            await sleep(settleDelay);
+        }
+    }
+
+    // Scroll down a screen at a time so lazily loaded images and sections come into view
+    const step = Math.max(window.innerHeight, 200);
+    for (let y = 0; y < document.documentElement.scrollHeight && counts.scrollSteps < maxScrollSteps; y += step) {
+        window.scrollTo(0, y);
+        counts.scrollSteps++;
+        await sleep(settleDelay);
+    }
+    window.scrollTo(0, 0);
+
+    return counts;
+}
+
+/**
+ * Expand a page's interactive components and scroll through it before its HTML is taken,
+ * then wait for the assets this requested to load
+ * @param {Object} page - The Puppeteer page, after navigation
+ * @param {Object} options - Options
+ * @param {number} options.timeout - Maximum time to wait for the network to go quiet, in milliseconds
+ * @returns {Promise<{accordions: number, tabs: number, scrollSteps: number}>} - What was done
+ */
+async function expandPageContent(page, { timeout }) {
+    const counts = await page.evaluate(expandInBrowser, {
+        maxClicks: MAX_CLICKS,
+        maxScrollSteps: MAX_SCROLL_STEPS,
+        settleDelay: SETTLE_DELAY_MS
+    });
+
+    await waitForPageAssets(page, { timeout });
+    return counts;
+}
+
+/**
+ * Emulate a color scheme. On a loaded page, the theme provider follows the media query
+ * and switches the logos, images and stylesheets of the other theme in.
+ * @param {Object} page - The Puppeteer page
+ * @param {string} colorScheme - light or dark
+ */
+async function setColorScheme(page, colorScheme) {
+    await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: colorScheme }]);
+}
+
+/**
+ * Wait until the network has been quiet for a moment, so the assets requested by an
+ * interaction have loaded
+ * @param {Object} page - The Puppeteer page
+ * @param {Object} options - Options
+ * @param {number} options.timeout - Maximum time to wait, in milliseconds
+ */
+async function waitForPageAssets(page, { timeout }) {
+    // Some assets never finish loading; carry on anyway
+    await page.waitForNetworkIdle({ idleTime: NETWORK_IDLE_MS, timeout }).catch(() => {});
+}
+
+module.exports = {
+    COLOR_SCHEMES,
+    expandPageContent,
+    setColorScheme,
+    waitForPageAssets
+};
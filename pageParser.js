@@ -0,0 +1,165 @@
+/**
+ * Page Parser Module
+ *
+ * This module finds the links and assets of a page without rendering it, for archiving
+ * in no-browser mode. It reads them from the server-rendered HTML, from the stylesheets
+ * the page loads, from the __NEXT_DATA__ JSON and from the Next.js build manifest, which
+ * lists the JavaScript chunks the client-side router loads when navigating.
+ */
+
+const { getAttribute, forEachHtmlReference, forEachCssReference } = require('./urlRewriter');
+
+// <link rel> values that point at other pages rather than assets
+const NON_ASSET_LINK_RELS = ['canonical', 'alternate', 'next', 'prev', 'preconnect', 'dns-prefetch', 'search', 'author', 'license'];
+
+// Extensions of files in __NEXT_DATA__ that are worth downloading
+const ASSET_EXTENSION_REGEX = /\.(png|jpe?g|gif|svg|webp|avif|ico|woff2?|ttf|otf|eot|mp4|webm|mp3|pdf|css|js)(\?|#|$)/i;
+
+/**
+ * Resolve a URL found in a page, ignoring data:, javascript: and similar URLs
+ * @param {string} value - The URL as written in the page
+ * @param {string} baseUrl - The URL to resolve it against
+ * @returns {string|null} - The absolute http(s) URL, or null
+ */
+function resolveUrl(value, baseUrl) {
+    const trimmed = (value || '').trim();
+    if (!trimmed || trimmed.startsWith('#')) return null;
+
+    try {
+        const resolved = new URL(trimmed, baseUrl);
+        return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Find the url() and @import references in a stylesheet
+ * @param {string} css - The CSS text
+ * @param {string} cssUrl - The URL of the stylesheet (or of the page, for inline styles)
+ * @returns {string[]} - Absolute URLs without duplicates
+ */
+function extractCssUrls(css, cssUrl) {
+    const urls = new Set();
+    forEachCssReference(css, reference => {
+        const resolved = resolveUrl(reference, cssUrl);
+        if (resolved) urls.add(resolved);
+    });
+    return [...urls];
+}
+
+/**
+ * Find the links and assets in server-rendered HTML. The references are the ones the
+ * rewrite phases change, found by the same parser; scripts and comments are not read.
+ * @param {string} html - The HTML document
+ * @param {string} pageUrl - The URL the document was loaded from
+ * @returns {{links: string[], resources: string[]}} - Absolute URLs of linked pages and of assets, without duplicates
+ */
+function extractHtmlReferences(html, pageUrl) {
+    const links = new Set();
+    const resources = new Set();
+
+    const references = [];
+    forEachHtmlReference(html, (reference, context) => references.push({ reference, ...context }));
+
+    const base = references.find(({ tagName, attribute }) => tagName === 'base' && attribute === 'href');
+    const baseUrl = (base && resolveUrl(base.reference, pageUrl)) || pageUrl;
+
+    for (const { reference, tagName, attribute, element } of references) {
+        const resolved = resolveUrl(reference, baseUrl);
+        if (!resolved) continue;
+
+        if (attribute !== 'href' && attribute !== 'data-href') {
+            resources.add(resolved);
+        } else if (tagName === 'a' && attribute === 'href') {
+            links.add(resolved);
+        } else if (tagName === 'link' && attribute === 'href') {
+            const rels = (getAttribute(element, 'rel') || '').toLowerCase().split(/\s+/);
+            if (!rels.some(rel => NON_ASSET_LINK_RELS.includes(rel))) resources.add(resolved);
+        } else if (tagName === 'image' || tagName === 'use') {
+            // SVG images and external sprite sheets; "#id" references stay within the document
+            resources.add(resolved);
+        }
+    }
+
+    return { links: [...links], resources: [...resources] };
+}
+
+/**
+ * Find asset URLs in the __NEXT_DATA__ JSON, such as the logo, favicon and images
+ * referenced from the page props
+ * @param {Object} nextData - The parsed __NEXT_DATA__ object
+ * @param {string} pageUrl - The URL of the page, for resolving root-relative paths
+ * @returns {string[]} - Absolute URLs without duplicates
+ */
+function extractNextDataAssetUrls(nextData, pageUrl) {
+    const urls = new Set();
+
+    const walk = (value, depth) => {
+        if (depth > 50 || !value) return;
+
+        if (typeof value === 'string') {
+            // Only standalone URLs and root-relative paths; text content is not followed
+            if (/^(https?:\/\/|\/)[^\s"'<>]+$/i.test(value) && ASSET_EXTENSION_REGEX.test(value)) {
+                const resolved = resolveUrl(value, pageUrl);
+                if (resolved) urls.add(resolved);
+            }
+        } else if (Array.isArray(value)) {
+            value.forEach(item => walk(item, depth + 1));
+        } else if (typeof value === 'object') {
+            Object.values(value).forEach(item => walk(item, depth + 1));
+        }
+    };
+
+    walk(nextData.props, 0);
+    return [...urls];
+}
+
+/**
+ * Get the URLs of the Next.js build and SSG manifests for a build.
+ * The manifests live next to the static chunks, which may be served from an asset prefix.
+ * @param {string} buildId - The buildId from __NEXT_DATA__
+ * @param {string[]} resourceUrls - Assets of the page, used to find where /_next/static/ is served from
+ * @param {string} pageUrl - The URL of the page, used when no chunk is found
+ * @returns {string[]} - The manifest URLs
+ */
+function getBuildManifestUrls(buildId, resourceUrls, pageUrl) {
+    const chunkUrl = resourceUrls.find(resourceUrl => resourceUrl.includes('/_next/static/'));
+    const staticBase = chunkUrl
+        ? chunkUrl.slice(0, chunkUrl.indexOf('/_next/static/') + '/_next/static/'.length)
+        : new URL('/_next/static/', pageUrl).href;
+
+    return [
+        `${staticBase}${buildId}/_buildManifest.js`,
+        `${staticBase}${buildId}/_ssgManifest.js`
+    ];
+}
+
+/**
+ * Find the chunk and stylesheet URLs listed in a Next.js build manifest
+ * @param {string} manifestSource - The _buildManifest.js source
+ * @param {string} manifestUrl - The URL of the manifest
+ * @returns {string[]} - Absolute URLs without duplicates
+ */
+function extractBuildManifestUrls(manifestSource, manifestUrl) {
+    // Paths in the manifest are relative to /_next/ (e.g. "static/chunks/pages/index-abc.js"),
+    // with the slashes sometimes escaped as /
+    const nextBase = manifestUrl.slice(0, manifestUrl.indexOf('/_next/') + '/_next/'.length);
+    const urls = new Set();
+    const pathRegex = /["'](static(?:\/|\\u002F)[^"']+\.(?:js|css))["']/g;
+
+    let match;
+    while ((match = pathRegex.exec(manifestSource)) !== null) {
+        urls.add(new URL(match[1].replace(/\\u002F/g, '/'), nextBase).href);
+    }
+
+    return [...urls];
+}
+
+module.exports = {
+    extractHtmlReferences,
+    extractCssUrls,
+    extractNextDataAssetUrls,
+    getBuildManifestUrls,
+    extractBuildManifestUrls
+};
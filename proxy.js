@@ -0,0 +1,166 @@
+/**
+ * Proxy Module
+ *
+ * This module resolves the proxy to use from the --proxy option or the HTTPS_PROXY,
+ * HTTP_PROXY and NO_PROXY environment variables, and turns it into the two forms the
+ * scraper needs: Chromium launch arguments for Puppeteer, and an undici dispatcher for
+ * fetch. HTTP(S) and SOCKS (socks4://, socks5://) proxies are supported. Credentials in
+ * the proxy URL are used for proxy authentication.
+ */
+
+const { ProxyAgent } = require('undici');
+const { socksDispatcher } = require('fetch-socks');
+
+const SOCKS_PROTOCOLS = ['socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+const HTTP_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Read an environment variable in upper or lower case
+ * @param {Object} env - The environment
+ * @param {string} name - The upper-case variable name
+ * @returns {string} - The value, or an empty string
+ */
+function readEnv(env, name) {
+    return env[name] || env[name.toLowerCase()] || '';
+}
+
+/**
+ * Work out which proxy to use
+ * @param {Object} options - Proxy options
+ * @param {string} [options.proxy] - Proxy URL given explicitly; takes precedence over the environment
+ * @param {Object} [options.env] - The environment to read HTTPS_PROXY, HTTP_PROXY and NO_PROXY from
+ * @returns {{url: URL, noProxy: string[]}|null} - The proxy and the hosts that bypass it, or null for a direct connection
+ * @throws {Error} - If the proxy URL is invalid or uses an unsupported protocol
+ */
+function resolveProxySettings({ proxy = '', env = process.env } = {}) {
+    const proxyUrl = proxy || readEnv(env, 'HTTPS_PROXY') || readEnv(env, 'HTTP_PROXY');
+    if (!proxyUrl) return null;
+
+    const noProxy = readEnv(env, 'NO_PROXY')
+        .split(/[,\s]+/)
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean);
+    if (noProxy.includes('*')) return null;
+
+    let url;
+    try {
+        // "proxy.corp:3128" without a scheme is an HTTP proxy
+        url = new URL(/^[a-z0-9+.-]+:\/\//i.test(proxyUrl) ? proxyUrl : `http://${proxyUrl}`);
+    } catch (error) {
+        throw new Error(`Invalid proxy URL ${proxyUrl}`);
+    }
+
+    if (!HTTP_PROTOCOLS.includes(url.protocol) && !SOCKS_PROTOCOLS.includes(url.protocol)) {
+        throw new Error(`Unsupported proxy protocol ${url.protocol} in ${proxyUrl}, expected http, https, socks4 or socks5`);
+    }
+
+    return { url, noProxy };
+}
+
+/**
+ * Check whether a URL should bypass the proxy according to NO_PROXY.
+ * An entry matches the host and its subdomains ("example.com" and ".example.com" both
+ * match docs.example.com), and can be limited to a port ("example.com:8080").
+ * @param {string} urlString - The URL being requested
+ * @param {string[]} noProxy - The NO_PROXY entries
+ * @returns {boolean}
+ */
+function shouldBypassProxy(urlString, noProxy) {
+    const { hostname, port, protocol } = new URL(urlString);
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const effectivePort = port || (protocol === 'https:' ? '443' : '80');
+
+    return noProxy.some(entry => {
+        const portMatch = /^(.*):(\d+)$/.exec(entry);
+        const entryHost = (portMatch ? portMatch[1] : entry).replace(/^\*?\./, '').replace(/^\[|\]$/g, '');
+        if (portMatch && portMatch[2] !== effectivePort) return false;
+        return host === entryHost || host.endsWith(`.${entryHost}`);
+    });
+}
+
+/**
+ * Get the credentials from a proxy URL
+ * @param {URL} proxyUrl - The proxy URL
+ * @returns {{username: string, password: string}|null} - The decoded credentials, or null if there are none
+ */
+function getProxyCredentials(proxyUrl) {
+    if (!proxyUrl.username) return null;
+    return {
+        username: decodeURIComponent(proxyUrl.username),
+        password: decodeURIComponent(proxyUrl.password)
+    };
+}
+
+/**
+ * Build the Chromium arguments that route the browser through the proxy.
+ * Chromium does not take credentials in --proxy-server; HTTP proxies are authenticated
+ * per page with page.authenticate(), and authenticated SOCKS proxies are not supported.
+ * @param {{url: URL, noProxy: string[]}|null} settings - The resolved proxy settings
+ * @returns {string[]} - Launch arguments (empty for a direct connection)
+ * @throws {Error} - If the proxy is a SOCKS proxy with credentials
+ */
+function getBrowserProxyArgs(settings) {
+    if (!settings) return [];
+
+    const { url, noProxy } = settings;
+    const isSocks = SOCKS_PROTOCOLS.includes(url.protocol);
+    if (isSocks && url.username) {
+        throw new Error('Chromium cannot authenticate to SOCKS proxies; use an HTTP proxy or a local SOCKS proxy without credentials');
+    }
+
+    // Chromium only knows socks4 and socks5; the "h" (remote DNS) variants are its default behaviour
+    const scheme = isSocks
+        ? (url.protocol.startsWith('socks4') ? 'socks4' : 'socks5')
+        : url.protocol.slice(0, -1);
+    const args = [`--proxy-server=${scheme}://${url.host}`];
+
+    if (noProxy.length > 0) {
+        // Chromium needs a separate wildcard entry to match subdomains
+        const bypassList = noProxy.flatMap(entry => {
+            const host = entry.replace(/^\*?\./, '');
+            return [host, `*.${host}`];
+        });
+        args.push(`--proxy-bypass-list=${bypassList.join(';')}`);
+    }
+
+    return args;
+}
+
+/**
+ * Create the undici dispatcher that sends fetch requests through the proxy
+ * @param {{url: URL}} settings - The resolved proxy settings
+ * @param {Object} [agentOptions={}] - undici Agent options, such as headersTimeout and bodyTimeout
+ * @returns {Dispatcher} - A dispatcher to pass as the `dispatcher` option of fetch
+ */
+function createProxyDispatcher({ url }, agentOptions = {}) {
+    if (SOCKS_PROTOCOLS.includes(url.protocol)) {
+        const credentials = getProxyCredentials(url);
+        return socksDispatcher({
+            type: url.protocol.startsWith('socks4') ? 4 : 5,
+            host: url.hostname,
+            port: Number(url.port) || 1080,
+            ...(credentials ? { userId: credentials.username, password: credentials.password } : {})
+        }, agentOptions);
+    }
+
+    // ProxyAgent sends the credentials in the URL as Proxy-Authorization
+    return new ProxyAgent({ ...agentOptions, uri: url.href });
+}
+
+/**
+ * Describe a proxy for log messages without its password
+ * @param {{url: URL}} settings - The resolved proxy settings
+ * @returns {string}
+ */
+function describeProxy({ url }) {
+    return `${url.protocol}//${url.username ? `${decodeURIComponent(url.username)}:***@` : ''}${url.host}`;
+}
+
+module.exports = {
+    resolveProxySettings,
+    shouldBypassProxy,
+    getProxyCredentials,
+    getBrowserProxyArgs,
+    createProxyDispatcher,
+    describeProxy
+};
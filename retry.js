@@ -0,0 +1,139 @@
+/**
+ * Retry Module
+ *
+ * This module implements the retry policy shared by page navigations and asset fetches:
+ * a bounded number of attempts with exponential backoff and jitter between them. When
+ * the server answers with a Retry-After header, that delay is used instead, unless it is
+ * longer than the policy allows, in which case the caller gets the failed result back
+ * straight away and can try again later.
+ */
+
+const { defaultLogger } = require('./logger');
+
+// Statuses that usually mean "try again later" rather than "this will never work"
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+const DEFAULT_RETRY_POLICY = {
+    attempts: 3, // Total attempts, including the first one
+    baseDelay: 1000, // Delay before the second attempt in ms, doubled for each attempt after that
+    maxDelay: 30000, // Upper bound for the backoff delay in ms
+    maxRetryAfter: 120000 // Longest Retry-After in ms that is waited for
+};
+
+/**
+ * Check whether an HTTP status is worth retrying
+ * @param {number} status - The HTTP status code
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+    return RETRYABLE_STATUSES.includes(status);
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null|undefined} value - Either a number of seconds or an HTTP date
+ * @param {number} [now] - The current time in ms, for testing
+ * @returns {number|null} - The delay in ms, or null if the header is missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+
+    const trimmed = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+        return Math.round(parseFloat(trimmed) * 1000);
+    }
+
+    const date = Date.parse(trimmed);
+    if (isNaN(date)) return null;
+    return Math.max(0, date - now);
+}
+
+/**
+ * Compute the delay before the next attempt.
+ * The delay doubles with every attempt and is capped at maxDelay. Half of it is random
+ * so that workers that failed together don't all retry at the same moment.
+ * @param {number} attempt - The attempt that just failed (1 for the first)
+ * @param {Object} [policy] - The retry policy
+ * @returns {number} - The delay in ms
+ */
+function getBackoffDelay(attempt, policy = DEFAULT_RETRY_POLICY) {
+    const { baseDelay, maxDelay } = { ...DEFAULT_RETRY_POLICY, ...policy };
+    const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Run a task until it succeeds or the policy runs out of attempts
+ * @param {function(number): Promise<*>} task - The task, called with the attempt number
+ * @param {Object} [policy] - The retry policy (see DEFAULT_RETRY_POLICY)
+ * @param {Object} [options] - Retry options
+ * @param {string} [options.label] - What is being retried, for log messages
+ * @param {function(*): ({reason: string, retryAfter: number|null}|null)} [options.checkResult] - Says why a
+ *        result should be retried, or returns null if it is final. Thrown errors are always retried.
+ * @param {Object} [options.logger] - The logger to report retries to
+ * @returns {Promise<*>} - The result of the last attempt
+ * @throws {Error} - The error of the last attempt, if it threw
+ */
+async function retryAsync(task, policy = DEFAULT_RETRY_POLICY, { label = 'request', checkResult = () => null, logger = defaultLogger } = {}) {
+    const { attempts, maxRetryAfter } = { ...DEFAULT_RETRY_POLICY, ...policy };
+
+    for (let attempt = 1; ; attempt++) {
+        let result;
+        let failure;
+        try {
+            result = await task(attempt);
+            failure = checkResult(result);
+            if (!failure) return result;
+        } catch (error) {
+            if (attempt >= attempts) throw error;
+            failure = { reason: error.message, retryAfter: null };
+        }
+
+        const retryAfter = failure.retryAfter;
+        if (attempt >= attempts || (retryAfter !== null && retryAfter > maxRetryAfter)) {
+            return result;
+        }
+
+        const delay = retryAfter !== null ? retryAfter : getBackoffDelay(attempt, policy);
+        logger.warn(`Retrying ${label} in ${delay} ms (attempt ${attempt + 1} of ${attempts}): ${failure.reason}`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+/**
+ * Fetch a URL, retrying network errors and retryable statuses
+ * @param {function} fetchFn - The fetch implementation to use
+ * @param {string} urlString - The URL to fetch
+ * @param {Object} [options] - Options passed to fetchFn
+ * @param {Object} [policy] - The retry policy
+ * @param {Object} [logger] - The logger to report retries to
+ * @returns {Promise<Response>} - The last response, which may still have a retryable status
+ * @throws {Error} - The network error of the last attempt
+ */
+async function fetchWithRetry(fetchFn, urlString, options = {}, policy = DEFAULT_RETRY_POLICY, logger = defaultLogger) {
+    let previousResponse = null;
+
+    return retryAsync(async () => {
+        // Release the connection held by a response that is being retried
+        if (previousResponse?.body) {
+            await previousResponse.body.cancel().catch(() => {});
+        }
+        previousResponse = await fetchFn(urlString, options);
+        return previousResponse;
+    }, policy, {
+        label: urlString,
+        logger,
+        checkResult: response => (isRetryableStatus(response.status)
+            ? { reason: `${response.status} ${response.statusText}`, retryAfter: parseRetryAfter(response.headers.get('retry-after')) }
+            : null)
+    });
+}
+
+module.exports = {
+    DEFAULT_RETRY_POLICY,
+    isRetryableStatus,
+    parseRetryAfter,
+    getBackoffDelay,
+    retryAsync,
+    fetchWithRetry
+};
@@ -0,0 +1,185 @@
+/**
+ * Robots Module
+ *
+ * This module fetches and evaluates robots.txt files (RFC 9309). Rules are picked from
+ * the group whose user-agent token best matches our User-Agent, falling back to the
+ * `*` group. The longest matching rule wins and Allow wins a tie; `*` wildcards and a
+ * trailing `$` anchor are supported. Crawl-delay is exposed so the caller can throttle.
+ */
+
+const { defaultLogger } = require('./logger');
+
+// Used to pick a robots.txt group when no custom User-Agent is configured
+const DEFAULT_ROBOTS_AGENT = 'mintlify-docs-archiver';
+
+/**
+ * Parse robots.txt content into user-agent groups
+ * @param {string} text - The robots.txt content
+ * @returns {Array<{agents: string[], rules: Array<{allow: boolean, pattern: string}>, crawlDelay: number|null}>} - The groups
+ */
+function parseRobotsTxt(text) {
+    const groups = [];
+    let current = null;
+    let lastLineWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        if (!line) continue;
+
+        const separatorIndex = line.indexOf(':');
+        if (separatorIndex === -1) continue;
+
+        const field = line.slice(0, separatorIndex).trim().toLowerCase();
+        const value = line.slice(separatorIndex + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!current || !lastLineWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastLineWasAgent = true;
+            continue;
+        }
+
+        lastLineWasAgent = false;
+        if (!current) continue; // Rules before any user-agent line are ignored
+
+        if (field === 'allow' || field === 'disallow') {
+            // An empty Disallow allows everything, so it adds no rule
+            if (value) {
+                current.rules.push({ allow: field === 'allow', pattern: value });
+            }
+        } else if (field === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (!isNaN(delay) && delay >= 0) {
+                current.crawlDelay = delay;
+            }
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Convert a robots.txt path pattern to a regular expression
+ * @param {string} pattern - The pattern, e.g. "/private/*.json$"
+ * @returns {RegExp} - A regular expression matching from the start of the path
+ */
+function patternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const source = body
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Build the rules that apply to a user agent
+ * @param {string} text - The robots.txt content
+ * @param {string} [userAgent] - Our User-Agent string
+ * @returns {{isAllowed: function(string): boolean, crawlDelay: number|null}} - Checks a path (with query string)
+ */
+function createRobotsRules(text, userAgent) {
+    const agent = (userAgent || DEFAULT_ROBOTS_AGENT).toLowerCase();
+    const groups = parseRobotsTxt(text);
+
+    // Prefer the most specific agent token contained in our User-Agent
+    let bestLength = 0;
+    let matchingGroups = [];
+    for (const group of groups) {
+        for (const token of group.agents) {
+            if (token !== '*' && agent.includes(token)) {
+                if (token.length > bestLength) {
+                    bestLength = token.length;
+                    matchingGroups = [group];
+                } else if (token.length === bestLength && !matchingGroups.includes(group)) {
+                    matchingGroups.push(group);
+                }
+            }
+        }
+    }
+    if (matchingGroups.length === 0) {
+        matchingGroups = groups.filter(group => group.agents.includes('*'));
+    }
+
+    const rules = matchingGroups
+        .flatMap(group => group.rules)
+        .map(rule => ({ ...rule, regex: patternToRegExp(rule.pattern) }));
+    const delays = matchingGroups.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+    return {
+        crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+        isAllowed(pathWithQuery) {
+            let bestRule = null;
+            for (const rule of rules) {
+                if (!rule.regex.test(pathWithQuery)) continue;
+                if (!bestRule ||
+                    rule.pattern.length > bestRule.pattern.length ||
+                    (rule.pattern.length === bestRule.pattern.length && rule.allow)) {
+                    bestRule = rule;
+                }
+            }
+            return !bestRule || bestRule.allow;
+        }
+    };
+}
+
+/**
+ * Rules used when robots.txt cannot be evaluated
+ * @param {boolean} allowed - Whether everything is allowed or everything is disallowed
+ * @returns {{isAllowed: function(string): boolean, crawlDelay: null}}
+ */
+function createBlanketRules(allowed) {
+    return {
+        crawlDelay: null,
+        isAllowed: () => allowed
+    };
+}
+
+/**
+ * Fetch and parse the robots.txt of an origin.
+ * Following RFC 9309, a missing file (4xx) allows everything, while a server error
+ * or an unreachable host disallows everything.
+ * @param {string} origin - The origin, e.g. https://docs.example.com
+ * @param {Object} options - Fetch options
+ * @param {string} [options.userAgent] - Our User-Agent string
+ * @param {function} [options.fetchFn] - The fetch implementation to use
+ * @param {Object} [options.logger] - The logger to report to
+ * @returns {Promise<{isAllowed: function(string): boolean, crawlDelay: number|null}>} - The rules for the origin
+ */
+async function fetchRobotsRules(origin, { userAgent, fetchFn = fetch, logger = defaultLogger } = {}) {
+    const robotsUrl = `${origin}/robots.txt`;
+
+    let response;
+    try {
+        response = await fetchFn(robotsUrl);
+    } catch (error) {
+        logger.warn(`Could not fetch ${robotsUrl}, treating ${origin} as disallowed:`, error.message);
+        return createBlanketRules(false);
+    }
+
+    if (response.status >= 500) {
+        logger.warn(`Server error ${response.status} for ${robotsUrl}, treating ${origin} as disallowed`);
+        return createBlanketRules(false);
+    }
+
+    if (!response.ok) {
+        logger.info(`No robots.txt at ${origin} (${response.status}), all paths allowed`);
+        return createBlanketRules(true);
+    }
+
+    const rules = createRobotsRules(await response.text(), userAgent);
+    logger.info(`Loaded robots.txt for ${origin}${rules.crawlDelay !== null ? ` (crawl-delay ${rules.crawlDelay}s)` : ''}`);
+    return rules;
+}
+
+module.exports = {
+    DEFAULT_ROBOTS_AGENT,
+    parseRobotsTxt,
+    createRobotsRules,
+    fetchRobotsRules
+};
@@ -0,0 +1,296 @@
+/**
+ * Sanitizer Module
+ *
+ * This module takes analytics, telemetry, chat widgets and AI assistants out of archived
+ * pages. Offline their scripts throw errors, and on a mirror they would keep reporting
+ * visits to the original site's vendors. Script tags, iframes, tracking pixels and
+ * preconnect links that belong to a known tracker are removed from the HTML, as are the
+ * inline snippets that load or configure them: scripts with a signature only the tracker's
+ * snippet has, and scripts that call its API or add a <script> element while naming one of
+ * its hosts. Pages are read with the tokenizer of the URL rewriter, and the
+ * Next.js payload scripts are never removed, even when the docs they carry mention a
+ * tracker's API. Tracker code bundled into the site's own JavaScript
+ * can't be cut out, so every page also gets a small inline script that turns requests to
+ * tracker hosts into no-ops and gives snippets left behind harmless globals to call.
+ *
+ * TRACKERS is the list of known trackers; add an entry to recognize another one. Hosts
+ * match their subdomains as well.
+ */
+
+const { walkHtml, getAttribute, replaceRanges } = require('./urlRewriter');
+
+const SANITIZER_MARKER = 'data-archive-sanitizer';
+
+// Inline scripts that carry the page's Next.js data and content; they are never removed
+const NEXT_PAYLOAD_REGEX = /__next_f|__NEXT_DATA__/;
+
+// Elements whose removal takes their content along
+const CONTAINER_ELEMENTS = ['script', 'iframe', 'noscript'];
+
+// Inline scripts that add a <script> element; with one of a tracker's hosts in them, they load it
+const SCRIPT_LOADER_REGEX = /\bcreateElement\s*\(\s*["']script["']\s*\)/;
+
+/**
+ * Known trackers and widgets
+ * @type {Array<{name: string, category: string, hosts: string[], urlPatterns?: RegExp[], snippetPatterns?: RegExp[], loaderPatterns?: RegExp[], globals?: string[]}>}
+ *   category is analytics, telemetry, chat or assistant. hosts and urlPatterns match the URLs of
+ *   scripts, iframes, images and links. snippetPatterns match code only the tracker's own inline
+ *   snippet has, such as its settings object; such a script is removed on its own. loaderPatterns
+ *   match calls to the tracker's API that site code may make too; such a script is only removed
+ *   if it also names one of the hosts or matches a urlPattern. globals are replaced by no-op
+ *   stubs in the browser.
+ */
+const TRACKERS = [
+    // Analytics
+    { name: 'Google Tag Manager', category: 'analytics', hosts: ['googletagmanager.com'], snippetPatterns: [/\bgtm\.start\b/, /\bgtag\s*\(\s*["'](?:js|config)["']/], loaderPatterns: [/\bgtag\s*\(/], globals: ['gtag'] },
+    { name: 'Google Analytics', category: 'analytics', hosts: ['google-analytics.com', 'analytics.google.com'], snippetPatterns: [/GoogleAnalyticsObject/, /\bga\s*\(\s*["']create["']/], globals: ['ga'] },
+    { name: 'PostHog', category: 'analytics', hosts: ['posthog.com'], loaderPatterns: [/\bposthog\.init\s*\(/], globals: ['posthog'] },
+    { name: 'Segment', category: 'analytics', hosts: ['segment.com', 'segment.io'], loaderPatterns: [/\banalytics\.load\s*\(/], globals: ['analytics'] },
+    { name: 'Mixpanel', category: 'analytics', hosts: ['mixpanel.com', 'mxpnl.com'], loaderPatterns: [/\bmixpanel\.init\s*\(/], globals: ['mixpanel'] },
+    { name: 'Amplitude', category: 'analytics', hosts: ['amplitude.com'], loaderPatterns: [/\bamplitude\.(?:getInstance|init)\s*\(/], globals: ['amplitude'] },
+    { name: 'Heap', category: 'analytics', hosts: ['heapanalytics.com', 'heap-api.com'], loaderPatterns: [/\bheap\.load\s*\(/], globals: ['heap'] },
+    { name: 'Hotjar', category: 'analytics', hosts: ['hotjar.com', 'hotjar.io'], snippetPatterns: [/_hjSettings/], globals: ['hj'] },
+    { name: 'Microsoft Clarity', category: 'analytics', hosts: ['clarity.ms'], loaderPatterns: [/["']clarity["']/], globals: ['clarity'] },
+    { name: 'Plausible', category: 'analytics', hosts: ['plausible.io'], snippetPatterns: [/\bplausible\.q\b/], loaderPatterns: [/\bplausible\s*\(/], globals: ['plausible'] },
+    { name: 'Fathom', category: 'analytics', hosts: ['usefathom.com'], loaderPatterns: [/\bfathom\.\w+\s*\(/], globals: ['fathom'] },
+    { name: 'Koala', category: 'analytics', hosts: ['getkoala.com'], loaderPatterns: [/\bko\.\w+\s*\(/] },
+    { name: 'HubSpot', category: 'analytics', hosts: ['hs-scripts.com', 'hs-analytics.net', 'hs-banner.com'], loaderPatterns: [/\b_hsq\b/], globals: ['_hsq'] },
+
+    // Telemetry and session recording
+    { name: 'Sentry', category: 'telemetry', hosts: ['sentry.io', 'sentry-cdn.com'], loaderPatterns: [/\bSentry\.init\s*\(/], globals: ['Sentry'] },
+    { name: 'LogRocket', category: 'telemetry', hosts: ['logrocket.com', 'logrocket.io', 'lr-ingest.io', 'lr-in-prod.com'], loaderPatterns: [/\bLogRocket\.init\s*\(/], globals: ['LogRocket'] },
+    { name: 'Datadog RUM', category: 'telemetry', hosts: ['datadoghq-browser-agent.com', 'browser-intake-datadoghq.com'], loaderPatterns: [/\bDD_RUM\b/], globals: ['DD_RUM'] },
+
+    // Chat widgets
+    { name: 'Intercom', category: 'chat', hosts: ['intercom.io', 'intercomcdn.com'], snippetPatterns: [/\bintercomSettings\s*=/], loaderPatterns: [/\bIntercom\s*\(/], globals: ['Intercom'] },
+    { name: 'Crisp', category: 'chat', hosts: ['crisp.chat'], snippetPatterns: [/CRISP_WEBSITE_ID/], globals: ['$crisp'] },
+    { name: 'Drift', category: 'chat', hosts: ['drift.com', 'driftt.com'], loaderPatterns: [/\bdrift\.load\s*\(/], globals: ['drift'] },
+    { name: 'Zendesk', category: 'chat', hosts: ['zdassets.com', 'zopim.com'], snippetPatterns: [/\bzESettings\s*=/], loaderPatterns: [/\bzE\s*\(/], globals: ['zE'] },
+    { name: 'Plain', category: 'chat', hosts: ['cdn-plain.com'], loaderPatterns: [/\bPlain\.init\s*\(/], globals: ['Plain'] },
+    { name: 'Front Chat', category: 'chat', hosts: ['frontapp.com'], snippetPatterns: [/\bFrontChat\s*\(\s*["']init["']/], loaderPatterns: [/\bFrontChat\s*\(/], globals: ['FrontChat'] },
+
+    // AI assistants
+    { name: 'Kapa.ai', category: 'assistant', hosts: ['kapa.ai'], loaderPatterns: [/\bKapa\s*\(/], globals: ['Kapa'] },
+    { name: 'Inkeep', category: 'assistant', hosts: ['inkeep.com'], urlPatterns: [/\/@inkeep\//], loaderPatterns: [/\bInkeep\w*\s*\(/], globals: ['Inkeep'] },
+    { name: 'Mendable', category: 'assistant', hosts: ['mendable.ai'], urlPatterns: [/\/@mendable\//], snippetPatterns: [/\bMendable\.initialize\s*\(/], globals: ['Mendable'] },
+    { name: 'Chatbase', category: 'assistant', hosts: ['chatbase.co'], snippetPatterns: [/\bembeddedChatbotConfig\s*=/], loaderPatterns: [/\bchatbase\s*\(/], globals: ['chatbase'] }
+];
+
+/**
+ * Add trackers for extra hosts to a tracker list
+ * @param {string[]} [extraHosts=[]] - Hosts to treat as trackers, e.g. from --strip-host
+ * @param {Object[]} [trackers=TRACKERS] - The list to extend
+ * @returns {Object[]} - The list with an entry per extra host
+ */
+function withExtraHosts(extraHosts = [], trackers = TRACKERS) {
+    const hosts = extraHosts.map(host => host.trim().toLowerCase()).filter(Boolean);
+    return [...trackers, ...hosts.map(host => ({ name: host, category: 'custom', hosts: [host] }))];
+}
+
+/**
+ * Find the tracker a URL belongs to
+ * @param {string} urlString - The URL, possibly protocol-relative or already rewritten to an
+ *   assets/<host>/ path in the archive
+ * @param {Object[]} trackers - The tracker list
+ * @returns {Object|null} - The tracker, or null
+ */
+function findTrackerByUrl(urlString, trackers) {
+    // Local paths only have a host when they are an asset downloaded from another domain
+    let hostname = '';
+    const archivedAsset = /(?:^|\/)assets\/([^/]+)\//.exec(urlString);
+    if (/^(https?:)?\/\//i.test(urlString)) {
+        try {
+            hostname = new URL(urlString, 'https://localhost').hostname.toLowerCase();
+        } catch (error) {
+            return null;
+        }
+    } else if (archivedAsset) {
+        hostname = archivedAsset[1].toLowerCase();
+    }
+
+    return trackers.find(tracker =>
+        (hostname && tracker.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`)))
+        || (tracker.urlPatterns || []).some(pattern => pattern.test(urlString))
+    ) || null;
+}
+
+/**
+ * Find the tracker whose loader or settings snippet an inline script is. A script matching
+ * one of the tracker's snippetPatterns is its snippet. A script that calls the tracker's API
+ * or adds a <script> element has to name one of its hosts as well, so site code that only
+ * uses a tracker's API is kept.
+ * @param {string} code - The code of the script
+ * @param {Object[]} trackers - The tracker list
+ * @returns {Object|null} - The tracker, or null
+ */
+function findTrackerByCode(code, trackers) {
+    if (NEXT_PAYLOAD_REGEX.test(code)) return null;
+
+    // The host as a whole name, so a subdomain matches but a longer name ending in it does not
+    const namesHost = (tracker) => tracker.hosts.some(host => {
+        const escapedHost = host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![\\w-])${escapedHost}(?![\\w-])`, 'i').test(code);
+    }) || (tracker.urlPatterns || []).some(pattern => pattern.test(code));
+    return trackers.find(tracker =>
+        (tracker.snippetPatterns || []).some(pattern => pattern.test(code))
+        || ([SCRIPT_LOADER_REGEX, ...(tracker.loaderPatterns || [])].some(pattern => pattern.test(code)) && namesHost(tracker))
+    ) || null;
+}
+
+/**
+ * Blocks requests to tracker hosts and stubs tracker globals. Runs in the browser, so it
+ * can't use anything from this module; it is written into each page as an inline script.
+ * @param {Object} options - { hosts, globals }
+ */
+function blockTrackersInBrowser({ hosts, globals }) {
+    const isBlocked = (value) => {
+        try {
+            const { hostname } = new URL(String(value), window.location.href);
+            return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+        } catch (error) {
+            return false;
+        }
+    };
+
+    // Any property of a stub is the stub again, and calling it does nothing
+    const stub = new Proxy(function () {}, {
+        get: (target, property) => (property === 'then' || typeof property === 'symbol' ? undefined : stub),
+        apply: () => undefined
+    });
+    globals.forEach(name => {
+        if (!(name in window)) window[name] = stub;
+    });
+    if (!Array.isArray(window.dataLayer)) window.dataLayer = [];
+
+    const originalFetch = window.fetch;
+    window.fetch = function (input, init) {
+        const requestUrl = input && typeof input === 'object' && 'url' in input ? input.url : input;
+        if (isBlocked(requestUrl)) return Promise.resolve(new Response(null, { status: 204 }));
+        return originalFetch.call(this, input, init);
+    };
+
+    const originalOpen = XMLHttpRequest.prototype.open;
+    const originalSend = XMLHttpRequest.prototype.send;
+    XMLHttpRequest.prototype.open = function (method, requestUrl, ...rest) {
+        this.archiveBlocked = isBlocked(requestUrl);
+        return originalOpen.call(this, method, this.archiveBlocked ? 'data:,' : requestUrl, ...rest);
+    };
+    XMLHttpRequest.prototype.send = function (body) {
+        return originalSend.call(this, this.archiveBlocked ? null : body);
+    };
+
+    if (navigator.sendBeacon) {
+        const originalSendBeacon = navigator.sendBeacon.bind(navigator);
+        navigator.sendBeacon = (beaconUrl, data) => (isBlocked(beaconUrl) ? true : originalSendBeacon(beaconUrl, data));
+    }
+
+    // Loaders add their script, iframe or pixel to the page themselves; leave those out
+    const isBlockedElement = (node) => node instanceof Element
+        && ['SCRIPT', 'IFRAME', 'IMG'].includes(node.tagName)
+        && isBlocked(node.getAttribute('src') || '');
+    for (const method of ['appendChild', 'insertBefore']) {
+        const original = Node.prototype[method];
+        Node.prototype[method] = function (node, ...rest) {
+            return isBlockedElement(node) ? node : original.call(this, node, ...rest);
+        };
+    }
+}
+
+/**
+ * Remove the trackers from an HTML document and add the request blocker
+ * @param {string} html - The HTML text
+ * @param {Object[]} trackers - The tracker list
+ * @returns {{html: string, removed: Array<{name: string, category: string, element: string}>}} - The
+ *   sanitized HTML and the elements that were removed
+ */
+function sanitizeHtml(html, trackers) {
+    const removals = [];
+    // Scripts, iframes and noscripts that are open at the current position
+    const openElements = [];
+    let headEnd = -1;
+    let hasBlocker = false;
+
+    walkHtml(html, {
+        onOpenTag(tag) {
+            const src = getAttribute(tag, 'src');
+            if (tag.name === 'head' && headEnd === -1) {
+                headEnd = tag.end;
+            }
+            // A tracker pixel or iframe inside <noscript> takes the noscript along
+            if (src) {
+                openElements.filter(element => element.tag.name === 'noscript').forEach(element => element.urls.push(src));
+            }
+
+            if (tag.name === 'img' || tag.name === 'link') {
+                const urlString = tag.name === 'img' ? src : getAttribute(tag, 'href');
+                const tracker = urlString ? findTrackerByUrl(urlString, trackers) : null;
+                if (tracker) {
+                    removals.push({ start: tag.start, end: tag.end, tracker, element: tag.name === 'img' ? 'pixel' : 'link' });
+                }
+                return;
+            }
+            if (!CONTAINER_ELEMENTS.includes(tag.name) || tag.selfClosing) return;
+
+            const openElement = { tag, tracker: null, element: tag.name, urls: [] };
+            if (tag.name === 'script' && getAttribute(tag, SANITIZER_MARKER) !== null) {
+                hasBlocker = true;
+            } else if (tag.name !== 'noscript' && src) {
+                openElement.tracker = findTrackerByUrl(src, trackers);
+            }
+            openElements.push(openElement);
+        },
+        onRawText(tag, code) {
+            const openElement = openElements[openElements.length - 1];
+            if (tag.name !== 'script' || !openElement || openElement.tag !== tag) return;
+            if (getAttribute(tag, 'src') || getAttribute(tag, SANITIZER_MARKER) !== null) return;
+
+            // JSON data such as __NEXT_DATA__ mentions vendors in the site configuration; it is not code
+            const type = (getAttribute(tag, 'type') || '').toLowerCase();
+            if (type && !/^(text|application)\/(javascript|ecmascript)$|^module$/.test(type)) return;
+
+            openElement.tracker = findTrackerByCode(code, trackers);
+            openElement.element = 'inline script';
+        },
+        onCloseTag({ name, end }) {
+            const index = openElements.map(element => element.tag.name).lastIndexOf(name);
+            if (index === -1) return;
+
+            const [openElement] = openElements.splice(index);
+            const tracker = openElement.tag.name === 'noscript'
+                ? openElement.urls.map(urlString => findTrackerByUrl(urlString, trackers)).find(Boolean)
+                : openElement.tracker;
+            if (tracker) {
+                removals.push({ start: openElement.tag.start, end, tracker, element: openElement.element });
+            }
+        }
+    });
+
+    // An element inside one that is removed goes with it and is not reported on its own
+    const edits = [];
+    const removed = [];
+    let removedUntil = 0;
+    for (const removal of removals.sort((a, b) => a.start - b.start)) {
+        if (removal.start < removedUntil) continue;
+        removedUntil = removal.end;
+        edits.push({ start: removal.start, end: removal.end, text: '' });
+        removed.push({ name: removal.tracker.name, category: removal.tracker.category, element: removal.element });
+    }
+
+    if (!hasBlocker && headEnd !== -1) {
+        const options = {
+            hosts: [...new Set(trackers.flatMap(tracker => tracker.hosts))],
+            globals: [...new Set(trackers.flatMap(tracker => tracker.globals || []))]
+        };
+        // First in the head, so it runs before any other script
+        edits.unshift({ start: headEnd, end: headEnd, text: `<script ${SANITIZER_MARKER}>(${blockTrackersInBrowser.toString()})(${JSON.stringify(options)});</script>` });
+    }
+
+    return { html: replaceRanges(html, edits), removed };
+}
+
+module.exports = {
+    TRACKERS,
+    withExtraHosts,
+    findTrackerByUrl,
+    sanitizeHtml
+};
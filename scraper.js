@@ -3,35 +3,193 @@ const fs = require('fs');
 const fsp = fs.promises; // Alias for fs.promises for async file operations
 const path = require('path');
 const url = require('url');
+const { Agent } = require('undici');
 // Import the JSON extractor module
 const jsonExtractor = require('./jsonExtractor');
+const { createLimiter, createRateLimiter } = require('./concurrency');
+const { fetchSitemapUrls } = require('./sitemap');
+const { saveCrawlState, loadCrawlState, getStateFilePath } = require('./crawlState');
+const { createUrlFilter, normalizeScope } = require('./urlFilter');
+const { createCrawlQueue } = require('./crawlQueue');
+const { createEmptyCache, loadArchiveCache, saveArchiveCache, hashContent, getConditionalHeaders, getValidators } = require('./archiveCache');
+const { fetchRobotsRules } = require('./robots');
+const { isRetryableStatus, parseRetryAfter, retryAsync, fetchWithRetry } = require('./retry');
+const { loadCookies, getCookieHeader, parseHeaderLines, getBasicAuthHeader } = require('./auth');
+const { extractHtmlReferences, extractCssUrls, extractNextDataAssetUrls, getBuildManifestUrls, extractBuildManifestUrls } = require('./pageParser');
+const { COLOR_SCHEMES, expandPageContent, setColorScheme, waitForPageAssets } = require('./pageInteractions');
+const { createLogger } = require('./logger');
+const { createCrawlReport, writeCrawlReport } = require('./crawlReport');
+const { SEARCH_INDEX_FILE_NAME, buildSearchIndex } = require('./searchIndex');
+const { withExtraHosts, sanitizeHtml } = require('./sanitizer');
+const { rewriteHtmlUrls, rewriteCssUrls, forEachHtmlReference } = require('./urlRewriter');
+const { resolveProxySettings, shouldBypassProxy, getProxyCredentials, getBrowserProxyArgs, createProxyDispatcher, describeProxy } = require('./proxy');
 
-// Function to run the scraper with a specified domain
-async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
+// Log file written to the output directory when the logFile option is set
+const LOG_FILE_NAME = 'archive.log';
+
+// The crawl state is rewritten in full, so while crawling it is saved at most this often
+const STATE_SAVE_INTERVAL_MS = 5000;
+
+// Function to launch the browser used for crawling, routed through the proxy if one is
+// configured with the proxy option or the HTTPS_PROXY/HTTP_PROXY environment variables
+async function launchBrowser({ headless = true, proxy = '' } = {}) {
+    return puppeteer.launch({
+        headless: headless ? "new" : false,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', ...getBrowserProxyArgs(resolveProxySettings({ proxy }))]
+    });
+}
+
+// Function to run the scraper with a specified domain.
+// A browser can be passed in to share it between several runs; it is then left open.
+// Progress is reported as events on `events`, if given (see archiver.js for the list).
+// Aborting `signal` saves the crawl state for --resume, closes the browser and rejects
+// with the signal's reason.
+// Resolves with a summary of the run, and rejects if the run could not complete.
+async function runScraper({domain = 'docs.cursor.com', maxPages = 5, concurrency = 4, resourceConcurrency = 8, resume = false, incremental = false, include = [], exclude = [], scope = '', maxDepth = -1, queueOrder = 'bfs', userAgent = '', respectRobots = true, requestsPerSecond = 0, navigationDelay = 0, maxAttempts = 3, retryDelay = 1000, outputDir = 'output', allowedDomains = [], timeout = 60000, waitUntil = 'networkidle2', expandContent = true, colorScheme = 'both', search = true, sanitize = true, stripHosts = [], headless = true, verbose = false, logLevel = '', logFormat = 'text', logFile = false, cookieFile = '', headers = [], basicAuth = '', proxy = '', useBrowser = true, browserFallback = true, browser: sharedBrowser = null, events = null, signal = null}) {
+    signal?.throwIfAborted();
+    
     // Configure URL and domains based on input
     const BASE_URL = `https://${domain}`;
     
-    // Default allowed domains
+    // Decides which discovered page links are followed; assets are not filtered
+    const checkPageUrl = createUrlFilter({ include, exclude, scope });
+    
+    // With a scope, the crawl starts at the scoped section instead of the home page
+    const START_URL = `${BASE_URL}${normalizeScope(scope)}`;
+    
+    // Default allowed domains, plus any extra ones from the options
     const ALLOWED_DOMAINS = [
         domain,
         'mintlify.b-cdn.net',
         'mintlify.s3.us-west-1.amazonaws.com',
         'cdn.jsdelivr.net',
-        'cdn.jsdelivr.net'
+        'cdn.jsdelivr.net',
+        ...allowedDomains
     ];
 
     // Parse domain from BASE_URL
     const BASE_DOMAIN = domain;
 
     // Simplified directory structure - everything goes directly in OUTPUT_DIR
-    const OUTPUT_DIR = 'output'; // Main output directory
+    const OUTPUT_DIR = outputDir; // Main output directory
+    
+    // Color schemes each page is rendered in, 'both' for light and dark; the first is the one saved
+    if (colorScheme !== 'both' && !COLOR_SCHEMES.includes(colorScheme)) {
+        throw new Error(`Unknown color scheme "${colorScheme}", expected both, ${COLOR_SCHEMES.join(' or ')}`);
+    }
+    const colorSchemes = colorScheme === 'both' ? COLOR_SCHEMES : [colorScheme];
+    
+    // Leveled logger for this run; --verbose is short for debug level. The log file goes
+    // in the output directory, so that has to exist before it is opened.
+    if (logFile) {
+        fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    }
+    const logger = createLogger({
+        level: logLevel || (verbose ? 'debug' : 'info'),
+        format: logFormat,
+        file: logFile ? path.join(OUTPUT_DIR, LOG_FILE_NAME) : '',
+        fields: { site: domain }
+    });
 
     const MAX_PAGES = maxPages; // Maximum number of pages to process (set to -1 for unlimited)
 
+    const PAGE_CONCURRENCY = Math.max(1, concurrency); // Number of browser tabs crawling at once
+    
+    const MAX_DEPTH = maxDepth; // Maximum link depth from the start page (set to -1 for unlimited)
+    
+    // Shared limiter so all crawl workers together stay under the asset download cap
+    const limitResourceDownload = createLimiter(resourceConcurrency);
+    
+    // Spaces out requests to each host, and navigations overall
+    const waitForRequestSlot = createRateLimiter();
+    const REQUEST_INTERVAL_MS = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    
+    // robots.txt rules by origin, fetched once per origin on first use
+    const robotsRulesByOrigin = new Map();
+    
+    // Credentials for docs behind a login. Cookies are sent wherever their domain matches;
+    // extra headers and basic auth only go to the docs domain, never to CDNs.
+    const cookies = cookieFile ? loadCookies(cookieFile) : [];
+    const authHeaders = parseHeaderLines(headers);
+    if (basicAuth) {
+        authHeaders['Authorization'] = getBasicAuthHeader(basicAuth);
+    }
+    
+    // fetch gives up when the response headers or the next part of the body take longer than
+    // the timeout, so a large download that keeps making progress is not cut off
+    const fetchTimeouts = { headersTimeout: timeout, bodyTimeout: timeout };
+    const directDispatcher = new Agent(fetchTimeouts);
+    
+    // Proxy for the browser and for fetch; NO_PROXY hosts are fetched directly
+    const proxySettings = resolveProxySettings({ proxy });
+    const proxyDispatcher = proxySettings ? createProxyDispatcher(proxySettings, fetchTimeouts) : null;
+    const proxyCredentials = proxySettings ? getProxyCredentials(proxySettings.url) : null;
+    
+    // Attempts and backoff for page navigations and asset fetches
+    const RETRY_POLICY = { attempts: Math.max(1, maxAttempts), baseDelay: retryDelay };
+    
+    // URLs that failed with a transient error, retried once more at the end of the crawl
+    const retryQueue = {
+        page: new Map(), // URL -> { url, depth, reason }
+        resource: new Map() // URL -> { url, baseUrl, reason }
+    };
+    let retryingFailures = false;
+    
+    // Archived assets by URL, with their path in the output directory, for the run summary
+    const savedResources = new Map();
+    
+    // Errors, statuses, redirects and skipped URLs with their referrers, for report.json and report.html
+    const crawlReport = createCrawlReport();
+    
+    // When the run started, and how long each phase took in milliseconds
+    const startedAt = new Date();
+    const phaseTimings = {};
+
     // Set to keep track of processed URLs
     const processedPages = new Set();
     const processedResources = new Set();
-    const pagesToProcess = [BASE_URL];
+    // Queue of pages to crawl with the link depth they were found at, in the chosen order
+    const pagesToProcess = createCrawlQueue({ order: queueOrder, normalize: normalizeUrl });
+    // Page URLs in sidebar order, which the 'navigation' order crawls by
+    let navigationOrder = [];
+    
+    // Order in which pages were taken off the queue, used to keep the output deterministic
+    const crawlOrder = new Map();
+    
+    // Pages handed to a worker whose links have not been merged into the queue yet,
+    // by sequence number. These are put back on the queue when the state is saved.
+    const pendingPages = new Map();
+    let crawledCount = 0; // Pages fully processed and merged, including previous runs
+    
+    // Resources currently being downloaded; not yet safe to record as processed
+    const activeDownloads = new Set();
+    
+    // Whether this run has saved a crawl state and when, and whether it was aborted through
+    // `signal`. abortedPromise rejects on abort so the running phase stops being waited for.
+    let stateSaved = false;
+    let stateSavedAt = 0;
+    let aborted = false;
+    let rejectAborted;
+    const abortedPromise = new Promise((resolve, reject) => {
+        rejectAborted = reject;
+    });
+    abortedPromise.catch(() => {}); // Only observed while a phase runs
+    
+    // Validators and fingerprints from the previous run, and the ones collected in this run
+    const previousCache = loadArchiveCache(OUTPUT_DIR, logger);
+    const archiveCache = createEmptyCache();
+    
+    // What changed compared to the previous run
+    const changes = {
+        pages: { added: [], changed: [], unchanged: 0, removed: [] },
+        resources: { added: [], changed: [], unchanged: 0, removed: [] }
+    };
+    
+    // Local files an incremental run kept as they were; the rewrite phases skip them
+    const unchangedFiles = new Set();
+    
+    // How each page was discovered: 'start', 'navigation', 'sitemap' and/or 'link'
+    const pageSources = new Map();
 
     // Data collection object to track pages and metadata for JSON extraction
     const collectedData = {
@@ -39,9 +197,35 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
         stats: {
             processedPages: 0,
             extractedResources: 0,
-            extractedNextJsData: 0
-        }
+            extractedNextJsData: 0,
+            seededPages: {
+                navigation: 0,
+                sitemap: 0
+            },
+            skippedUrls: {
+                scope: 0,
+                exclude: 0,
+                include: 0,
+                depth: 0
+            },
+            blockedByRobots: {
+                pages: 0,
+                resources: 0
+            },
+            // Pages rendered in the browser because no-browser mode could not archive them
+            browserFallbacks: 0
+        },
+        // URLs that could not be archived, even after retrying
+        failures: [],
+        // Versions and languages declared in the navigation data, with the page URLs each lists
+        variants: []
     };
+    
+    // Page URLs rejected by the include/exclude/scope filters or the depth limit, counted once each
+    const skippedPageUrls = new Set();
+    // Page URLs found beyond the depth limit. The same page may still be found at a shallower
+    // depth later, so they only count as skipped if the crawl ends without visiting them.
+    const tooDeepPageUrls = new Set();
 
     // Create output directory if it doesn't exist
     if (!fs.existsSync(OUTPUT_DIR)) {
@@ -58,6 +242,109 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
         }
     }
 
+    // Helper function to wait until the host of a URL may be sent another request.
+    // Crawl-delay from robots.txt slows a host down further than the configured rate.
+    async function waitForHost(urlString) {
+        const { host, origin } = new URL(urlString);
+        let interval = REQUEST_INTERVAL_MS;
+        if (respectRobots) {
+            const { crawlDelay } = await getRobotsRules(origin);
+            if (crawlDelay) {
+                interval = Math.max(interval, crawlDelay * 1000);
+            }
+        }
+        await waitForRequestSlot(host, interval);
+    }
+    
+    // Helper function to fetch a URL with our User-Agent, respecting the host's rate limit
+    async function politeFetch(urlString, options = {}) {
+        await waitForHost(urlString);
+        return fetchWithCredentials(urlString, options);
+    }
+    
+    // Helper function to get the credential headers for a request
+    function getAuthHeaders(urlString) {
+        const requestHeaders = new URL(urlString).hostname === BASE_DOMAIN ? { ...authHeaders } : {};
+        const cookieHeader = getCookieHeader(cookies, urlString);
+        if (cookieHeader) {
+            requestHeaders['Cookie'] = cookieHeader;
+        }
+        return requestHeaders;
+    }
+    
+    // Helper function to fetch a URL with the credentials, User-Agent, proxy and timeout, without throttling.
+    // Requests still running when the run is aborted are cut off with it.
+    function fetchWithCredentials(urlString, options = {}) {
+        const requestHeaders = { ...getAuthHeaders(urlString), ...options.headers };
+        if (userAgent) {
+            requestHeaders['User-Agent'] = userAgent;
+        }
+        const useProxy = proxyDispatcher && !shouldBypassProxy(urlString, proxySettings.noProxy);
+        return fetch(urlString, {
+            dispatcher: useProxy ? proxyDispatcher : directDispatcher,
+            ...(signal ? { signal } : {}),
+            ...options,
+            headers: requestHeaders
+        });
+    }
+    
+    // Helper function to get the robots.txt rules for an origin
+    function getRobotsRules(origin) {
+        if (!robotsRulesByOrigin.has(origin)) {
+            const robotsFetch = async (robotsUrl) => {
+                await waitForRequestSlot(new URL(robotsUrl).host, REQUEST_INTERVAL_MS);
+                return fetchWithCredentials(robotsUrl);
+            };
+            robotsRulesByOrigin.set(origin, fetchRobotsRules(origin, { userAgent, fetchFn: robotsFetch, logger }));
+        }
+        return robotsRulesByOrigin.get(origin);
+    }
+    
+    // Helper function to check whether robots.txt lets us fetch a URL
+    async function isAllowedByRobots(urlString) {
+        if (!respectRobots) return true;
+        const { origin, pathname, search } = new URL(urlString);
+        const rules = await getRobotsRules(origin);
+        return rules.isAllowed(`${pathname}${search}`);
+    }
+
+    // Helper function to give up on a URL and add it to the failures list
+    function addFailure(kind, urlString, reason) {
+        logger.error(`Giving up on ${kind} ${urlString}: ${reason}`);
+        collectedData.failures.push({ kind, url: urlString, reason });
+        emitEvent('error', { kind, url: urlString, reason });
+    }
+    
+    // Helper function to report progress to the caller's event emitter. 'error' events are
+    // only emitted when something listens for them, since an unhandled 'error' event throws.
+    function emitEvent(name, payload) {
+        if (!events || (name === 'error' && events.listenerCount('error') === 0)) return;
+        events.emit(name, payload);
+    }
+    
+    // Helper function to record an archived asset and report it
+    function recordSavedResource(resourceUrl, localPath, unchanged = false) {
+        const file = path.relative(OUTPUT_DIR, localPath).replace(/\\/g, '/');
+        savedResources.set(resourceUrl, file);
+        emitEvent('resourceDownloaded', { url: resourceUrl, file, unchanged });
+    }
+    
+    // Helper function to add an error with a file in the output directory to the crawl report
+    function recordFileError(file, error, phase) {
+        crawlReport.recordError('file', path.relative(OUTPUT_DIR, file).replace(/\\/g, '/'), error, phase);
+    }
+    
+    // Helper function to queue a URL that failed with a transient error for another try
+    // at the end of the crawl. A URL that fails again during that retry is given up on.
+    function queueRetry(kind, urlString, reason, details = {}) {
+        if (retryingFailures) {
+            addFailure(kind, urlString, reason);
+            return;
+        }
+        logger.warn(`Will retry ${kind} at the end of the crawl: ${urlString}`);
+        retryQueue[kind].set(urlString, { ...details, url: urlString, reason });
+    }
+
     // Helper function to create a safe file path
     function safePath(inputPath) {
         // Simple but effective approach:
@@ -102,7 +389,7 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
             
             return relativePath;
         } catch (e) {
-            console.error('Error parsing URL:', urlString, e);
+            logger.error('Error parsing URL:', urlString, e);
             return null;
         }
     }
@@ -115,22 +402,119 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
             url.hash = '';
             return url.toString();
         } catch (e) {
-            console.error('Error normalizing URL:', urlString, e);
+            logger.error('Error normalizing URL:', urlString, e);
             return urlString;
         }
     }
 
-    // Function to download a resource
+    // Helper function to check if a URL is a page on the documentation site itself
+    function isSitePage(urlString) {
+        try {
+            return new URL(urlString).hostname === BASE_DOMAIN;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Helper function to find the version/language variant a page belongs to: the variant
+    // whose navigation lists it, or else the one with the longest matching path prefix.
+    // Returns null for sites without variants.
+    function getPageVariant(pageUrl) {
+        const normalizedUrl = normalizeUrl(pageUrl);
+        const listedIn = collectedData.variants.find(variant => variant.urls.includes(normalizedUrl));
+        if (listedIn) return listedIn.name;
+        
+        const pagePath = new URL(normalizedUrl).pathname.replace(/\/$/, '');
+        const matching = collectedData.variants
+            .filter(variant => variant.prefix && (pagePath === variant.prefix || pagePath.startsWith(`${variant.prefix}/`)))
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+        if (matching.length > 0) return matching[0].name;
+        
+        // Otherwise the page is under the root of the site, where only one variant can live
+        const rootVariants = collectedData.variants.filter(variant => !variant.prefix);
+        return rootVariants.length === 1 ? rootVariants[0].name : null;
+    }
+
+    // Helper function to remember where a page URL was discovered
+    function recordPageSource(urlString, source) {
+        const normalizedUrl = normalizeUrl(urlString);
+        if (!pageSources.has(normalizedUrl)) {
+            pageSources.set(normalizedUrl, []);
+        }
+        const sources = pageSources.get(normalizedUrl);
+        if (!sources.includes(source)) {
+            sources.push(source);
+        }
+    }
+
+    // Helper function to add a page to the crawl queue unless it was already processed or queued,
+    // or it is filtered out by the include/exclude/scope options or the depth limit
+    function enqueuePage(link, source, depth) {
+        const normalizedLink = normalizeUrl(link);
+        
+        const { allowed, reason } = checkPageUrl(normalizedLink);
+        if (allowed && MAX_DEPTH !== -1 && depth > MAX_DEPTH) {
+            tooDeepPageUrls.add(normalizedLink);
+            return false;
+        }
+        if (!allowed) {
+            if (!skippedPageUrls.has(normalizedLink)) {
+                skippedPageUrls.add(normalizedLink);
+                crawlReport.recordSkipped('page', normalizedLink, reason);
+                if (reason in collectedData.stats.skippedUrls) {
+                    collectedData.stats.skippedUrls[reason]++;
+                }
+            }
+            return false;
+        }
+        
+        recordPageSource(link, source);
+        
+        // Check if we've already processed this normalized URL or if it's already in the queue
+        if (processedPages.has(normalizedLink)) {
+            return false;
+        }
+        return pagesToProcess.push(link, depth);
+    }
+
+    // Helper function to find the assets a downloaded file refers to, which the browser
+    // would request itself: url() and @import references in stylesheets, and the chunks
+    // listed in the Next.js build manifest. Only needed in no-browser mode.
+    function findReferencedUrls(fileUrl, localPath) {
+        if (useBrowser) return [];
+        
+        const { pathname } = new URL(fileUrl);
+        const isStylesheet = pathname.endsWith('.css');
+        const isBuildManifest = pathname.endsWith('/_buildManifest.js');
+        if (!isStylesheet && !isBuildManifest) return [];
+        
+        try {
+            const content = fs.readFileSync(localPath, 'utf8');
+            return isStylesheet ? extractCssUrls(content, fileUrl) : extractBuildManifestUrls(content, fileUrl);
+        } catch (error) {
+            logger.error(`Error reading ${localPath} for referenced assets: ${error.message}`);
+            return [];
+        }
+    }
+    
+    // Function to download a resource. Returns the URLs of the assets the file refers to
+    // (see findReferencedUrls) so the caller can download those too.
     async function downloadResource(resourceUrl, baseUrl) {
         // Normalize the URL to remove hash fragments
         const normalizedUrl = normalizeUrl(resourceUrl);
+        crawlReport.addReferrer(normalizedUrl, baseUrl);
         
-        if (processedResources.has(normalizedUrl) || !isAllowedUrl(normalizedUrl)) {
+        if (processedResources.has(normalizedUrl)) {
+            return;
+        }
+        if (!isAllowedUrl(normalizedUrl)) {
+            crawlReport.recordSkipped('resource', normalizedUrl, 'domain');
             return;
         }
         
         try {
             processedResources.add(normalizedUrl);
+            activeDownloads.add(normalizedUrl);
             
             // Resolve relative URLs against the base URL
             const absoluteUrl = new URL(normalizedUrl, baseUrl).href;
@@ -138,6 +522,13 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
             
             if (!relativePath) return;
             
+            if (!(await isAllowedByRobots(absoluteUrl))) {
+                logger.debug(`Blocked by robots.txt, not downloading: ${absoluteUrl}`);
+                collectedData.stats.blockedByRobots.resources++;
+                crawlReport.recordSkipped('resource', absoluteUrl, 'robots');
+                return;
+            }
+            
             // Create the local file path - now directly in OUTPUT_DIR
             let localPath = path.join(OUTPUT_DIR, relativePath);
             
@@ -151,7 +542,8 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
             try {
                 fs.mkdirSync(dir, { recursive: true });
             } catch (dirError) {
-                console.error(`Error creating directory ${dir}:`, dirError);
+                logger.error(`Error creating directory ${dir}:`, dirError);
+                crawlReport.recordError('resource', absoluteUrl, dirError);
                 return; // Don't proceed if directory creation fails
             }
             
@@ -162,224 +554,314 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                 try {
                     fs.mkdirSync(path.dirname(localPath), { recursive: true });
                 } catch (subDirError) {
-                    console.error(`Error creating subdirectory for ${localPath}:`, subDirError);
+                    logger.error(`Error creating subdirectory for ${localPath}:`, subDirError);
+                    crawlReport.recordError('resource', absoluteUrl, subDirError);
                     return;
                 }
             }
             
+            // In incremental mode, ask the server whether the copy from the last run is still current
+            const cachedResource = previousCache.resources[normalizedUrl];
+            const requestHeaders = incremental && cachedResource && fs.existsSync(localPath)
+                ? getConditionalHeaders(cachedResource)
+                : {};
+            
             // Download the resource
-            console.log(`Downloading: ${absoluteUrl} -> ${localPath}`);
+            logger.debug(`Downloading: ${absoluteUrl} -> ${localPath}`);
             
             let response;
             try {
-                response = await fetch(absoluteUrl);
+                response = await fetchWithRetry(politeFetch, absoluteUrl, { headers: requestHeaders }, RETRY_POLICY, logger);
             } catch (fetchError) {
-                console.error(`Failed to fetch ${absoluteUrl}:`, fetchError.message);
+                logger.warn(`Failed to fetch ${absoluteUrl}:`, fetchError.message);
+                queueRetry('resource', resourceUrl, fetchError.message, { baseUrl });
                 return;
             }
             
+            crawlReport.recordResponse('resource', absoluteUrl, response.status, response.statusText);
+            if (response.redirected) {
+                crawlReport.recordRedirect('resource', absoluteUrl, response.url);
+            }
+            
+            if (response.status === 304) {
+                logger.debug(`Unchanged since last run: ${absoluteUrl}`);
+                archiveCache.resources[normalizedUrl] = { ...cachedResource, ...getValidators(response, cachedResource) };
+                recordChange('resources', normalizedUrl, cachedResource, cachedResource.contentHash);
+                unchangedFiles.add(localPath);
+                recordSavedResource(absoluteUrl, localPath, true);
+                return findReferencedUrls(absoluteUrl, localPath);
+            }
+            
             if (!response.ok) {
-                console.error(`Failed to download ${absoluteUrl}: ${response.status} ${response.statusText}`);
+                const reason = `${response.status} ${response.statusText}`;
+                logger.warn(`Failed to download ${absoluteUrl}: ${reason}`);
+                if (isRetryableStatus(response.status)) {
+                    queueRetry('resource', resourceUrl, reason, { baseUrl });
+                } else {
+                    addFailure('resource', absoluteUrl, reason);
+                }
                 return;
             }
             
+            // Read the body once so it can be hashed before HTML assets get their URLs updated
+            const isHtml = response.headers.get('content-type')?.includes('text/html');
+            let body = isHtml ? await response.text() : Buffer.from(await response.arrayBuffer());
+            const contentHash = hashContent(body);
+            if (isHtml) {
+                // Also update URLs in HTML content for asset files
+                body = updateHtmlUrls(body);
+            }
+            
             // Write the file with proper error handling
             try {
-                if (response.headers.get('content-type')?.includes('text/html')) {
-                    let text = await response.text();
-                    // Also update URLs in HTML content for asset files
-                    text = updateHtmlUrls(text);
-                    fs.writeFileSync(localPath, text);
-                } else {
-                    const buffer = await response.arrayBuffer();
-                    fs.writeFileSync(localPath, Buffer.from(buffer));
-                }
+                fs.writeFileSync(localPath, body);
             } catch (writeError) {
-                console.error(`Error writing file ${localPath}:`, writeError);
+                logger.error(`Error writing file ${localPath}:`, writeError);
                 // If write fails due to directory not existing, try creating again
                 if (writeError.code === 'ENOENT') {
                     try {
                         fs.mkdirSync(path.dirname(localPath), { recursive: true });
                         // Try writing again
-                        if (response.headers.get('content-type')?.includes('text/html')) {
-                            let text = await response.text();
-                            // Also update URLs in HTML content for asset files
-                            text = updateHtmlUrls(text);
-                            fs.writeFileSync(localPath, text);
-                        } else {
-                            const buffer = await response.arrayBuffer();
-                            fs.writeFileSync(localPath, Buffer.from(buffer));
-                        }
+                        fs.writeFileSync(localPath, body);
                     } catch (retryError) {
-                        console.error(`Failed retry writing ${localPath}:`, retryError);
+                        logger.error(`Failed retry writing ${localPath}:`, retryError);
+                        crawlReport.recordError('resource', absoluteUrl, retryError);
                     }
                 }
             }
+            
+            archiveCache.resources[normalizedUrl] = { ...getValidators(response), contentHash };
+            recordChange('resources', normalizedUrl, cachedResource, contentHash);
 
             // Track stats for extracted resources
             collectedData.stats.extractedResources++;
+            recordSavedResource(absoluteUrl, localPath);
+            
+            return findReferencedUrls(absoluteUrl, localPath);
         } catch (error) {
-            console.error(`Error downloading ${resourceUrl}:`, error);
+            logger.error(`Error downloading ${resourceUrl}:`, error);
+            crawlReport.recordError('resource', resourceUrl, error);
+        } finally {
+            activeDownloads.delete(normalizedUrl);
         }
     }
 
-    // Function to update URLs in HTML content
+    // Function to update URLs in HTML content: attributes, srcset candidates, <style> blocks and
+    // style attributes. Absolute URLs on allowed domains become local paths; relative URLs get
+    // our file path encoding.
     function updateHtmlUrls(content) {
-        // Process src and href attributes - standard HTML attributes
-        let updatedContent = content.replace(
-            /(src|href|poster|data|background|srcset|content)=["']([^"']+)["']/gi, 
-            (match, attr, url) => {
-                // Skip data URLs
-                if (url.startsWith('data:')) {
-                    return match;
-                }
-                
+        return rewriteHtmlUrls(content, {
+            rewriteUrl: (url, { attribute, kind }) => {
                 try {
-                    // Handle srcset attribute specially
-                    if (attr.toLowerCase() === 'srcset') {
-                        // Split srcset by commas, considering the URL might have commas in query params
-                        const srcSetParts = url.split(/\s*,\s*/);
-                        const processedParts = srcSetParts.map(part => {
-                            // Extract URL and any descriptors like 2x or 100w
-                            const [srcUrl, ...descriptors] = part.trim().split(/\s+/);
-                            
-                            // Process the URL part
-                            if (srcUrl.startsWith('http:') || srcUrl.startsWith('https:') || srcUrl.startsWith('//')) {
-                                const absoluteUrl = srcUrl.startsWith('//') ? `https:${srcUrl}` : srcUrl;
-                                if (isAllowedUrl(absoluteUrl)) {
-                                    const relativePath = getRelativePath(absoluteUrl);
-                                    if (relativePath) {
-                                        return [relativePath, ...descriptors].join(' ');
-                                    }
-                                }
-                            }
-                            
-                            // If we can't convert, return the original part
-                            return part;
-                        });
-                        
-                        return `${attr}="${processedParts.join(', ')}"`;
-                    }
-                    
                     // Handle absolute URLs (including protocol-relative URLs)
                     if (url.startsWith('http:') || url.startsWith('https:') || url.startsWith('//')) {
                         const absoluteUrl = url.startsWith('//') ? `https:${url}` : url;
-                        if (isAllowedUrl(absoluteUrl)) {
-                            const relativePath = getRelativePath(absoluteUrl);
-                            if (relativePath) {
-                                return `${attr}="${relativePath}"`;
-                            }
-                        }
-                        return match;
+                        return isAllowedUrl(absoluteUrl) ? getRelativePath(absoluteUrl) : null;
+                    }
+                    
+                    // Relative srcset candidates are left as they are
+                    if (kind === 'srcset') {
+                        return null;
                     }
                     
-                    // Handle relative URLs 
-                    const urlParts = url.split('/');
-                    const safeUrlParts = urlParts.map(part => safePath(part));
-                    let safeUrl = safeUrlParts.join('/');
+                    // Handle relative URLs
+                    let safeUrl = url.split('/').map(part => safePath(part)).join('/');
                     
                     // For href attributes, ensure proper HTML extension
-                    if (attr === 'href' && !safeUrl.includes('.') && !safeUrl.endsWith('/')) {
+                    if (attribute === 'href' && !safeUrl.includes('.') && !safeUrl.endsWith('/')) {
                         safeUrl = `${safeUrl}.html`;
                     }
                     
-                    return `${attr}="${safeUrl}"`;
+                    return safeUrl;
                 } catch (error) {
-                    console.error(`Error processing URL in attribute ${attr}: ${url}`, error);
-                    return match;
+                    logger.warn(`Error processing URL in ${attribute || 'style'}: ${url}`, error);
+                    return null;
                 }
             }
+        });
+    }
+
+    // Helper function to find the basePath of a Next.js site from the page's own
+    // /_next/static/ chunks, which the router serves _next/data from as well
+    function getRouterBasePath(html, pageUrl) {
+        const pageOrigin = new URL(pageUrl).origin;
+        let basePath = null;
+        forEachHtmlReference(html, (reference) => {
+            if (basePath !== null || !reference.includes('/_next/static/')) return;
+            try {
+                const chunkUrl = new URL(reference, pageUrl);
+                if (chunkUrl.origin !== pageOrigin) return;
+                basePath = chunkUrl.pathname.slice(0, chunkUrl.pathname.indexOf('/_next/static/'));
+            } catch (error) {
+                // Ignore references that are not valid URLs
+            }
+        });
+        return basePath || '';
+    }
+
+    // Helper function to save the _next/data JSON the Next.js router fetches when it navigates
+    // to a page client-side, generated from the page's live __NEXT_DATA__. Its URLs are mapped
+    // to the archive in the HTML processing phase. Returns its path in the output directory,
+    // or null if the page has none.
+    function saveNextDataPayload(html, pageUrl) {
+        const nextDataPayload = jsonExtractor.getNextDataPayload(
+            jsonExtractor.parseNextData(html),
+            new URL(pageUrl).pathname,
+            getRouterBasePath(html, pageUrl)
         );
+        if (!nextDataPayload) return null;
         
-        // Also check for URLs in inline styles
-        updatedContent = updatedContent.replace(
-            /style=["']([^"']*)url\(['"]?([^'")]+)['"]?\)([^"']*)['"]/gi,
-            (match, stylePrefix, url, styleSuffix) => {
-                // Skip data URLs
-                if (url.startsWith('data:')) {
-                    return match;
+        const dataFile = nextDataPayload.dataPath.replace(/^\//, '');
+        const dataFilePath = path.join(OUTPUT_DIR, dataFile);
+        try {
+            fs.mkdirSync(path.dirname(dataFilePath), { recursive: true });
+            fs.writeFileSync(dataFilePath, JSON.stringify(nextDataPayload.payload));
+            logger.debug(`Saved Next.js data: ${pageUrl} -> ${dataFilePath}`);
+            return dataFile;
+        } catch (error) {
+            logger.warn(`Error saving Next.js data for ${pageUrl}: ${error.message}`);
+            crawlReport.recordError('page', pageUrl, error);
+            return null;
+        }
+    }
+
+    // Helper function to fingerprint a page by its Next.js build and data.
+    // Pages without __NEXT_DATA__ fall back to a hash of the whole HTML.
+    function getPageFingerprint(html) {
+        const nextData = jsonExtractor.parseNextData(html);
+        if (!nextData) {
+            return { buildId: null, contentHash: hashContent(html) };
+        }
+        return {
+            buildId: nextData.buildId || null,
+            contentHash: hashContent(JSON.stringify(nextData.props || {}))
+        };
+    }
+
+    // Helper function to classify a URL as added, changed or unchanged since the last run
+    function recordChange(kind, urlString, previousEntry, contentHash) {
+        if (!previousEntry) {
+            changes[kind].added.push(urlString);
+        } else if (previousEntry.contentHash !== contentHash) {
+            changes[kind].changed.push(urlString);
+        } else {
+            changes[kind].unchanged++;
+        }
+    }
+
+    // Function to check a page against the last run without rendering it. If the server
+    // says it is unchanged (304), or its buildId and Next.js data hash match, the saved
+    // HTML is kept and the links recorded last time are returned. Returns null when the
+    // page has to be rendered again.
+    async function reuseUnchangedPage(pageUrl, normalizedUrl, depth) {
+        const cachedPage = previousCache.pages[normalizedUrl];
+        if (!cachedPage || !cachedPage.buildId || !cachedPage.htmlFile) return null;
+        
+        const htmlFilePath = path.join(OUTPUT_DIR, cachedPage.htmlFile);
+        if (!fs.existsSync(htmlFilePath)) return null;
+        
+        let validators;
+        try {
+            const response = await politeFetch(pageUrl, { headers: getConditionalHeaders(cachedPage) });
+            crawlReport.recordResponse('page', pageUrl, response.status, response.statusText);
+            if (response.status !== 304) {
+                if (!response.ok) {
+                    await response.body?.cancel();
+                    return null;
                 }
                 
-                try {
-                    // Handle absolute URLs
-                    if (url.startsWith('http:') || url.startsWith('https:') || url.startsWith('//')) {
-                        const absoluteUrl = url.startsWith('//') ? `https:${url}` : url;
-                        if (isAllowedUrl(absoluteUrl)) {
-                            const relativePath = getRelativePath(absoluteUrl);
-                            if (relativePath) {
-                                return `style="${stylePrefix}url('${relativePath}')${styleSuffix}"`;
-                            }
-                        }
-                        return match;
-                    }
-                    
-                    // Handle relative URLs
-                    const urlParts = url.split('/');
-                    const safeUrlParts = urlParts.map(part => safePath(part));
-                    let safeUrl = safeUrlParts.join('/');
-                    
-                    return `style="${stylePrefix}url('${safeUrl}')${styleSuffix}"`;
-                } catch (error) {
-                    console.error(`Error processing URL in style: ${url}`, error);
-                    return match;
+                const fingerprint = getPageFingerprint(await response.text());
+                if (fingerprint.buildId !== cachedPage.buildId || fingerprint.contentHash !== cachedPage.contentHash) {
+                    logger.info(`Page changed since last run: ${pageUrl}`);
+                    return null;
                 }
             }
-        );
+            validators = getValidators(response, cachedPage);
+        } catch (error) {
+            logger.warn(`Failed to check ${pageUrl} for changes:`, error.message);
+            return null;
+        }
+        
+        // The _next/data file is generated from the live page when it is rendered, so render
+        // again if it is missing, or if the archive is from before they were saved
+        const { dataFile } = cachedPage;
+        if (dataFile === undefined || (dataFile && !fs.existsSync(path.join(OUTPUT_DIR, dataFile)))) {
+            logger.info(`Next.js data missing for ${pageUrl}, rendering it again`);
+            return null;
+        }
+        
+        logger.info(`Page unchanged since last run, skipping render: ${pageUrl}`);
+        
+        archiveCache.pages[normalizedUrl] = { ...cachedPage, ...validators };
+        recordChange('pages', normalizedUrl, cachedPage, cachedPage.contentHash);
+        unchangedFiles.add(htmlFilePath);
         
-        return updatedContent;
+        collectedData.pages.push({
+            url: pageUrl,
+            path: new URL(pageUrl).pathname,
+            htmlFile: cachedPage.htmlFile,
+            dataFile,
+            depth,
+            sources: pageSources.get(normalizedUrl) || [],
+            variant: getPageVariant(pageUrl)
+        });
+        collectedData.stats.processedPages++;
+        emitEvent('pageSaved', { url: pageUrl, htmlFile: cachedPage.htmlFile, depth, unchanged: true });
+        
+        (cachedPage.links || []).forEach(link => crawlReport.addReferrer(normalizeUrl(link), pageUrl));
+        
+        // Revalidate the page's resources; unchanged ones are answered with 304
+        await Promise.all((cachedPage.resources || []).map(resourceUrl =>
+            limitResourceDownload(() => downloadResource(resourceUrl, pageUrl))
+        ));
+        
+        return cachedPage.links || [];
     }
 
     // Function to process a page and extract all resources
-    async function processPage(pageUrl, browser) {
+    async function processPage(pageUrl, depth = 0) {
         // Normalize the URL to remove the hash fragment
         const normalizedUrl = normalizeUrl(pageUrl);
         
         if (processedPages.has(normalizedUrl) || !isAllowedUrl(normalizedUrl)) {
             if (pageUrl !== normalizedUrl) {
-                console.log(`\nSkipping page with hash fragment: ${pageUrl}`);
-                console.log(`Already processed as: ${normalizedUrl}`);
+                logger.debug(`\nSkipping page with hash fragment: ${pageUrl}`);
+                logger.debug(`Already processed as: ${normalizedUrl}`);
             } else {
-                console.log(`\nSkipping already processed page: ${pageUrl}`);
+                logger.debug(`\nSkipping already processed page: ${pageUrl}`);
             }
             return [];
         }
         
-        console.log(`\nProcessing page: ${pageUrl}`);
+        logger.info(`\nProcessing page: ${pageUrl}`);
         if (pageUrl !== normalizedUrl) {
-            console.log(`Normalized to: ${normalizedUrl}`);
+            logger.debug(`Normalized to: ${normalizedUrl}`);
         }
         processedPages.add(normalizedUrl);
+        emitEvent('pageStart', { url: pageUrl, depth });
+        
+        if (!(await isAllowedByRobots(pageUrl))) {
+            logger.info(`Blocked by robots.txt, skipping page: ${pageUrl}`);
+            collectedData.stats.blockedByRobots.pages++;
+            crawlReport.recordSkipped('page', normalizedUrl, 'robots');
+            return [];
+        }
+        
+        // In incremental mode, reuse the page from the last run if its Next.js data is unchanged
+        if (incremental) {
+            const unchangedLinks = await reuseUnchangedPage(pageUrl, normalizedUrl, depth);
+            if (unchangedLinks) {
+                return unchangedLinks;
+            }
+        }
         
         try {
-            // Open a new page
-            const page = await browser.newPage();
-            
-            // Enable request interception to capture resource URLs
-            await page.setRequestInterception(true);
-            
-            // Handle resource requests
-            page.on('request', async (request) => {
-                // Continue with the request without modifying it
-                await request.continue();
-            });
-            
-            // Collect resource URLs
-            const resources = new Set();
-            page.on('response', async (response) => {
-                const responseUrl = response.url();
-                if (isAllowedUrl(responseUrl)) {
-                    resources.add(responseUrl);
-                }
-            });
+            const snapshot = await loadPage(pageUrl);
             
-            // Navigate to the page with a timeout
-            await page.goto(pageUrl, { 
-                waitUntil: 'networkidle2', 
-                timeout: 60000 
-            });
+            let { content } = snapshot;
             
-            // Get the content of the page
-            let content = await page.content();
+            // Fingerprint the rendered page before its URLs are rewritten
+            const fingerprint = getPageFingerprint(content);
             
             // Update URLs in HTML content to match our file path encoding
             content = updateHtmlUrls(content);
@@ -398,8 +880,8 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
             try {
                 fs.mkdirSync(dir, { recursive: true });
             } catch (dirError) {
-                console.error(`Error creating directory ${dir}:`, dirError);
-                await page.close();
+                logger.error(`Error creating directory ${dir}:`, dirError);
+                crawlReport.recordError('page', pageUrl, dirError);
                 return []; // Don't proceed if directory creation fails
             }
             
@@ -413,13 +895,16 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                 try {
                     fs.mkdirSync(path.dirname(localPath), { recursive: true });
                 } catch (subDirError) {
-                    console.error(`Error creating subdirectory for ${localPath}:`, subDirError);
-                    await page.close();
+                    logger.error(`Error creating subdirectory for ${localPath}:`, subDirError);
+                    crawlReport.recordError('page', pageUrl, subDirError);
                     return [];
                 }
             }
             
-            console.log(`Saving HTML: ${pageUrl} -> ${localPath}`);
+            // Client-side navigation to this page loads its props from _next/data
+            const dataFile = saveNextDataPayload(snapshot.content, pageUrl);
+            
+            logger.info(`Saving HTML: ${pageUrl} -> ${localPath}`);
             try {
                 fs.writeFileSync(localPath, content);
                 
@@ -427,11 +912,15 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                 collectedData.pages.push({
                     url: pageUrl,
                     path: new URL(pageUrl).pathname,
-                    htmlFile: path.relative(OUTPUT_DIR, localPath).replace(/\\/g, '/')
+                    htmlFile: path.relative(OUTPUT_DIR, localPath).replace(/\\/g, '/'),
+                    dataFile,
+                    depth,
+                    sources: pageSources.get(normalizedUrl) || [],
+                    variant: getPageVariant(pageUrl)
                 });
-                
+            
             } catch (writeError) {
-                console.error(`Error writing file ${localPath}:`, writeError);
+                logger.error(`Error writing file ${localPath}:`, writeError);
                 // If write fails due to directory not existing, try creating again
                 if (writeError.code === 'ENOENT') {
                     try {
@@ -443,19 +932,185 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                         collectedData.pages.push({
                             url: pageUrl,
                             path: new URL(pageUrl).pathname,
-                            htmlFile: path.relative(OUTPUT_DIR, localPath).replace(/\\/g, '/')
+                            htmlFile: path.relative(OUTPUT_DIR, localPath).replace(/\\/g, '/'),
+                            dataFile,
+                            depth,
+                            sources: pageSources.get(normalizedUrl) || [],
+                            variant: getPageVariant(pageUrl)
                         });
-                        
+                    
                     } catch (retryError) {
-                        console.error(`Failed retry writing ${localPath}:`, retryError);
-                        await page.close();
+                        logger.error(`Failed retry writing ${localPath}:`, retryError);
+                        crawlReport.recordError('page', pageUrl, retryError);
                         return [];
                     }
                 } else {
-                    await page.close();
+                    crawlReport.recordError('page', pageUrl, writeError);
                     return [];
                 }
             }
+            emitEvent('pageSaved', { url: pageUrl, htmlFile: path.relative(OUTPUT_DIR, localPath).replace(/\\/g, '/'), depth, unchanged: false });
+            
+            // Download resources in parallel, bounded by the shared download limiter.
+            // downloadResource marks each URL as processed before its first await, so
+            // concurrent calls for the same URL are deduplicated.
+            const pageResources = new Set(snapshot.resources);
+            let pendingResources = [...pageResources];
+            while (pendingResources.length > 0) {
+                const referencedUrls = await Promise.all(pendingResources.map(resourceUrl =>
+                    limitResourceDownload(() => downloadResource(resourceUrl, pageUrl))
+                ));
+                
+                // Without a browser nothing requests the fonts, images and chunks that stylesheets
+                // and the build manifest refer to, so follow those references as well
+                pendingResources = useBrowser ? [] : referencedUrls.flat().filter(resourceUrl => resourceUrl && !pageResources.has(resourceUrl));
+                pendingResources.forEach(resourceUrl => pageResources.add(resourceUrl));
+            }
+            
+            // Update stats
+            collectedData.stats.processedPages++;
+            
+            const allowedLinks = snapshot.links.filter(link => isAllowedUrl(link));
+            allowedLinks.forEach(link => crawlReport.addReferrer(normalizeUrl(link), pageUrl));
+            
+            // Remember what this page looked like so the next incremental run can skip it
+            archiveCache.pages[normalizedUrl] = {
+                ...fingerprint,
+                etag: snapshot.headers['etag'] || null,
+                lastModified: snapshot.headers['last-modified'] || null,
+                htmlFile: path.relative(OUTPUT_DIR, localPath).replace(/\\/g, '/'),
+                dataFile,
+                links: allowedLinks,
+                resources: [...pageResources].filter(isAllowedUrl)
+            };
+            recordChange('pages', normalizedUrl, previousCache.pages[normalizedUrl], fingerprint.contentHash);
+            
+            // Return found links
+            return allowedLinks;
+        } catch (error) {
+            logger.warn(`Error processing ${pageUrl}:`, error);
+            queueRetry('page', pageUrl, error.message, { depth });
+            return [];
+        }
+    }
+    
+    // Function to get a page's HTML, links and resources, by rendering it in the browser or,
+    // in no-browser mode, from its server-rendered HTML with the browser as a fallback
+    async function loadPage(pageUrl) {
+        if (useBrowser) {
+            return renderPage(pageUrl);
+        }
+        
+        try {
+            return await fetchPage(pageUrl);
+        } catch (error) {
+            if (!browserFallback) throw error;
+            logger.warn(`Could not archive ${pageUrl} from its HTML (${error.message}), rendering it in the browser`);
+            collectedData.stats.browserFallbacks++;
+            return renderPage(pageUrl);
+        }
+    }
+    
+    // Function to load a page in the browser and take its rendered HTML, the links on it and
+    // the resources it loaded
+    async function renderPage(pageUrl) {
+        // Open a new page
+        const browser = await getBrowser();
+        const page = await browser.newPage();
+        try {
+            if (proxyCredentials) {
+                // Answers the proxy's 407 challenge; Chromium ignores credentials in --proxy-server
+                await page.authenticate(proxyCredentials);
+            }
+            if (userAgent) {
+                await page.setUserAgent(userAgent);
+            }
+            if (cookies.length > 0) {
+                await page.setCookie(...cookies);
+            }
+            
+            // The page is saved as rendered in the first color scheme; the others are only
+            // switched to for the assets of their theme
+            await setColorScheme(page, colorSchemes[0]);
+            
+            // Enable request interception to capture resource URLs
+            await page.setRequestInterception(true);
+            
+            // Handle resource requests
+            page.on('request', async (request) => {
+                // Add the extra headers and basic auth to requests for the docs domain;
+                // continue everything else without modifying it
+                if (Object.keys(authHeaders).length > 0 && new URL(request.url()).hostname === BASE_DOMAIN) {
+                    await request.continue({ headers: { ...request.headers(), ...authHeaders } });
+                } else {
+                    await request.continue();
+                }
+            });
+            
+            // Collect resource URLs
+            const resources = new Set();
+            page.on('response', async (response) => {
+                const responseUrl = response.url();
+                if (isAllowedUrl(responseUrl)) {
+                    resources.add(responseUrl);
+                }
+            });
+            
+            // At debug level, show what the page logs and which of its requests fail
+            if (logger.isLevelEnabled('debug')) {
+                page.on('console', message => {
+                    logger.debug(`[browser] ${pageUrl}: ${message.type()}: ${message.text()}`);
+                });
+                page.on('requestfailed', request => {
+                    logger.debug(`[browser] ${pageUrl}: request failed: ${request.url()} (${request.failure()?.errorText})`);
+                });
+            }
+            
+            // Wait for the host's rate limit and the delay between navigations
+            await waitForHost(pageUrl);
+            await waitForRequestSlot('navigation', navigationDelay);
+            
+            // Navigate to the page with a timeout, retrying timeouts and transient errors
+            const navigationResponse = await retryAsync(async (attempt) => {
+                if (attempt > 1) {
+                    await waitForHost(pageUrl);
+                }
+                return page.goto(pageUrl, { 
+                    waitUntil, 
+                    timeout 
+                });
+            }, RETRY_POLICY, {
+                label: pageUrl,
+                logger,
+                checkResult: response => (response && isRetryableStatus(response.status())
+                    ? { reason: `${response.status()} ${response.statusText()}`, retryAfter: parseRetryAfter(response.headers()['retry-after']) }
+                    : null)
+            });
+            
+            if (navigationResponse) {
+                crawlReport.recordResponse('page', pageUrl, navigationResponse.status(), navigationResponse.statusText());
+                if (navigationResponse.request().redirectChain().length > 0) {
+                    crawlReport.recordRedirect('page', pageUrl, navigationResponse.url());
+                }
+            }
+            
+            if (navigationResponse && isRetryableStatus(navigationResponse.status())) {
+                throw new Error(`${navigationResponse.status()} ${navigationResponse.statusText()}`);
+            }
+            
+            // Open accordions, tabs and code groups and scroll through the page, so their content
+            // is in the snapshot and the assets they load are collected by the response listener
+            if (expandContent) {
+                try {
+                    const expanded = await expandPageContent(page, { timeout });
+                    logger.debug(`Expanded ${expanded.accordions} accordions and ${expanded.tabs} tabs, scrolled ${expanded.scrollSteps} screens: ${pageUrl}`);
+                } catch (error) {
+                    logger.warn(`Could not expand the content of ${pageUrl}: ${error.message}`);
+                }
+            }
+            
+            // Get the content of the page
+            const content = await page.content();
             
             // Extract additional links from the page
             const links = await page.evaluate(() => {
@@ -464,6 +1119,13 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                     .filter(href => href && !href.startsWith('javascript:') && !href.startsWith('mailto:'));
             });
             
+            // Switch to the other color scheme so the logos, images and stylesheets of its theme
+            // are requested too and collected by the response listener
+            for (const otherScheme of colorSchemes.slice(1)) {
+                await setColorScheme(page, otherScheme);
+                await waitForPageAssets(page, { timeout });
+            }
+            
             // Extract additional resources
             const additionalResources = await page.evaluate(() => {
                 // Get all scripts
@@ -489,28 +1151,68 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                 return [...scripts, ...stylesheets, ...images, ...favicons, ...others];
             });
             
-            // Process resources sequentially to avoid race conditions
-            for (const resourceUrl of [...resources, ...additionalResources]) {
-                await downloadResource(resourceUrl, pageUrl);
-            }
-            
-            // Close the page
-            await page.close();
-            
-            // Update stats
-            collectedData.stats.processedPages++;
-            
-            // Return found links
-            return links.filter(link => isAllowedUrl(link));
-        } catch (error) {
-            console.error(`Error processing ${pageUrl}:`, error);
-            return [];
+            return {
+                content,
+                links,
+                resources: [...resources, ...additionalResources],
+                headers: navigationResponse ? navigationResponse.headers() : {}
+            };
+        } finally {
+            // Close the tab so failed pages don't pile up while other workers keep crawling
+            await page.close().catch(() => {});
         }
     }
+    
+    // Function to fetch a page's server-rendered HTML and find its links and resources
+    // without a browser. Throws if the page can't be archived this way, so it can be
+    // rendered in the browser instead.
+    async function fetchPage(pageUrl) {
+        // Wait for the delay between navigations; politeFetch waits for the host's rate limit
+        await waitForRequestSlot('navigation', navigationDelay);
+        
+        const response = await fetchWithRetry(politeFetch, pageUrl, {}, RETRY_POLICY, logger);
+        crawlReport.recordResponse('page', pageUrl, response.status, response.statusText);
+        if (response.redirected) {
+            crawlReport.recordRedirect('page', pageUrl, response.url);
+        }
+        if (!response.ok) {
+            await response.body?.cancel();
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('text/html')) {
+            await response.body?.cancel();
+            throw new Error(`not an HTML page (${contentType || 'no content type'})`);
+        }
+        
+        const content = await response.text();
+        
+        // Pages that only render in the browser, and bot challenges, have no Next.js data
+        const nextData = jsonExtractor.parseNextData(content);
+        if (!nextData) {
+            throw new Error('no __NEXT_DATA__ in the HTML');
+        }
+        
+        // Links in the HTML resolve against the URL the page was redirected to, as in the browser
+        const finalUrl = response.url || pageUrl;
+        const { links, resources } = extractHtmlReferences(content, finalUrl);
+        resources.push(...extractNextDataAssetUrls(nextData, finalUrl));
+        if (nextData.buildId) {
+            resources.push(...getBuildManifestUrls(nextData.buildId, resources, finalUrl));
+        }
+        
+        return {
+            content,
+            links,
+            resources,
+            headers: Object.fromEntries(response.headers)
+        };
+    }
 
     // Function to process all HTML files after scraping
     async function processAllHtmlFiles() {
-        console.log("\nFinal pass: Processing all HTML files to ensure consistent URLs...");
+        logger.info("\nFinal pass: Processing all HTML files to ensure consistent URLs...");
         
         // Get all HTML files recursively
         const getAllFiles = function(dirPath, arrayOfFiles) {
@@ -530,9 +1232,10 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
         };
         
         const allFiles = getAllFiles(OUTPUT_DIR);
-        const htmlFiles = allFiles.filter(file => file.endsWith('.html'));
+        // Files left unchanged by an incremental run were already rewritten last time
+        const htmlFiles = allFiles.filter(file => file.endsWith('.html') && !unchangedFiles.has(file));
         
-        console.log(`Found ${htmlFiles.length} HTML files to process`);
+        logger.info(`Found ${htmlFiles.length} HTML files to process`);
         
         // Process each HTML file with our updated URL handler
         for (const htmlFile of htmlFiles) {
@@ -546,19 +1249,20 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                 // Write back if changed
                 if (content !== updatedContent) {
                     fs.writeFileSync(htmlFile, updatedContent);
-                    console.log(`Updated URLs in: ${path.relative(OUTPUT_DIR, htmlFile)}`);
+                    logger.debug(`Updated URLs in: ${path.relative(OUTPUT_DIR, htmlFile)}`);
                 }
             } catch (error) {
-                console.error(`Error processing HTML file ${htmlFile}:`, error);
+                logger.error(`Error processing HTML file ${htmlFile}:`, error);
+                recordFileError(htmlFile, error, 'rewriteUrls');
             }
         }
         
-        console.log("Final HTML processing complete!");
+        logger.info("Final HTML processing complete!");
     }
 
     // Function to extract Next.js data using the jsonExtractor module
     async function extractNextJsData() {
-        console.log("\n--- Starting Next.js data extraction phase ---\n");
+        logger.info("\n--- Starting Next.js data extraction phase ---\n");
         
         // Ensure the json_data directory exists
         const jsonDataDir = path.join(OUTPUT_DIR, 'json_data');
@@ -567,24 +1271,24 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
         }
         
         // Use the imported jsonExtractor module to process the HTML files
-        await jsonExtractor.extractNextJsData(collectedData, OUTPUT_DIR, jsonDataDir);
+        await jsonExtractor.extractNextJsData(collectedData, OUTPUT_DIR, jsonDataDir, logger);
         
         // Save the collected data summary as a JSON file
         try {
             const summaryPath = path.join(OUTPUT_DIR, 'extraction_summary.json');
             // Use the fsp alias for async file operations
             await fsp.writeFile(summaryPath, JSON.stringify(collectedData, null, 2));
-            console.log(`Saved extraction summary to ${summaryPath}`);
+            logger.info(`Saved extraction summary to ${summaryPath}`);
         } catch (error) {
-            console.error(`Error saving extraction summary: ${error.message}`);
+            logger.error(`Error saving extraction summary: ${error.message}`);
         }
         
-        console.log("\n--- Next.js data extraction phase complete ---\n");
+        logger.info("\n--- Next.js data extraction phase complete ---\n");
     }
 
     // Function to process CSS files and update URLs within them
     async function processCssFiles() {
-        console.log("\n--- Starting CSS processing phase ---\n");
+        logger.info("\n--- Starting CSS processing phase ---\n");
         
         // Get all CSS files recursively
         const getAllFiles = function(dirPath, arrayOfFiles) {
@@ -605,9 +1309,10 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
         };
         
         const allFiles = getAllFiles(OUTPUT_DIR);
-        const cssFiles = allFiles.filter(file => file.endsWith('.css'));
+        // Files left unchanged by an incremental run were already rewritten last time
+        const cssFiles = allFiles.filter(file => file.endsWith('.css') && !unchangedFiles.has(file));
         
-        console.log(`Found ${cssFiles.length} CSS files to process`);
+        logger.info(`Found ${cssFiles.length} CSS files to process`);
         
         let processedCount = 0;
         
@@ -615,120 +1320,60 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
         for (const cssFile of cssFiles) {
             try {
                 // Read CSS file
-                let content = fs.readFileSync(cssFile, 'utf8');
+                const originalContent = fs.readFileSync(cssFile, 'utf8');
                 let replacementsMade = 0;
                 
-                // 1. Process @import statements
-                // Match both formats: @import 'file.css' and @import url('file.css')
-                const importRegex = /@import\s+(?:url\(['"]?(.*?)['"]?\)|['"]([^'"]+)['"]);/g;
-                
-                let match;
-                while ((match = importRegex.exec(content)) !== null) {
-                    const importUrl = match[1] || match[2];
-                    if (!importUrl) continue;
-                    
-                    // Resolve the URL
-                    let fullImportUrl;
-                    if (importUrl.startsWith('http')) {
-                        fullImportUrl = importUrl;
-                    } else if (importUrl.startsWith('/')) {
-                        fullImportUrl = `${BASE_URL}${importUrl}`;
-                    } else {
-                        // Get the relative directory of the current CSS file
-                        const cssDir = path.dirname(cssFile);
-                        const relativeToBase = path.relative(OUTPUT_DIR, cssDir);
-                        
-                        // Determine base path for resolution
-                        // This is simplified - in a real implementation you'd need a more robust approach
-                        const basePath = relativeToBase.split(path.sep).join('/');
-                        fullImportUrl = `${BASE_URL}/${basePath}/${importUrl}`;
-                    }
-                    
-                    // Get local path for this import
-                    const localImportPath = getRelativePath(fullImportUrl);
-                    if (localImportPath) {
-                        // Convert the relative path to be relative to the current CSS file
-                        const cssRelativeDir = path.dirname(path.relative(OUTPUT_DIR, cssFile));
-                        const importTarget = path.join(OUTPUT_DIR, localImportPath);
-                        const relativePath = path.relative(
-                            path.join(OUTPUT_DIR, cssRelativeDir),
-                            importTarget
-                        ).replace(/\\/g, '/'); // Use forward slashes for CSS URLs
-                        
-                        // Replace with local path
-                        let replacement;
-                        if (match[1]) { // url() pattern
-                            replacement = `@import url('${relativePath}');`;
-                        } else { // direct string pattern
-                            replacement = `@import '${relativePath}';`;
-                        }
-                        
-                        content = content.replace(match[0], replacement);
-                        replacementsMade++;
-                    }
-                }
-                
-                // 2. Process url() references
-                const urlRegex = /url\(['"]?([^'")]+)['"]?\)/g;
+                // Get the relative directory of the current CSS file
+                const cssRelativeDir = path.dirname(path.relative(OUTPUT_DIR, cssFile));
                 
-                while ((match = urlRegex.exec(content)) !== null) {
-                    const urlPath = match[1];
-                    
-                    // Skip data URLs
-                    if (!urlPath || urlPath.startsWith('data:')) continue;
-                    
+                // Rewrite every @import and url() reference to the local file, relative to this CSS file
+                const content = rewriteCssUrls(originalContent, (cssUrl) => {
                     // Resolve the URL
                     let fullUrl;
-                    if (urlPath.startsWith('http')) {
-                        fullUrl = urlPath;
-                    } else if (urlPath.startsWith('/')) {
-                        fullUrl = `${BASE_URL}${urlPath}`;
+                    if (cssUrl.startsWith('http')) {
+                        fullUrl = cssUrl;
+                    } else if (cssUrl.startsWith('/')) {
+                        fullUrl = `${BASE_URL}${cssUrl}`;
                     } else {
-                        // Get the relative directory of the current CSS file
-                        const cssDir = path.dirname(cssFile);
-                        const relativeToBase = path.relative(OUTPUT_DIR, cssDir);
-                        
                         // Determine base path for resolution
-                        const basePath = relativeToBase.split(path.sep).join('/');
-                        fullUrl = `${BASE_URL}/${basePath}/${urlPath}`;
+                        const basePath = cssRelativeDir.split(path.sep).join('/');
+                        fullUrl = `${BASE_URL}/${basePath}/${cssUrl}`;
                     }
                     
                     // Get local path for this resource
                     const localResourcePath = getRelativePath(fullUrl);
-                    if (localResourcePath) {
-                        // Convert the relative path to be relative to the current CSS file
-                        const cssRelativeDir = path.dirname(path.relative(OUTPUT_DIR, cssFile));
-                        const resourceTarget = path.join(OUTPUT_DIR, localResourcePath);
-                        const relativePath = path.relative(
-                            path.join(OUTPUT_DIR, cssRelativeDir),
-                            resourceTarget
-                        ).replace(/\\/g, '/'); // Use forward slashes for CSS URLs
-                        
-                        // Replace with local path
-                        const replacement = `url('${relativePath}')`;
-                        content = content.replace(match[0], replacement);
-                        replacementsMade++;
-                    }
-                }
+                    if (!localResourcePath) return null;
+                    
+                    // Convert the relative path to be relative to the current CSS file
+                    const resourceTarget = path.join(OUTPUT_DIR, localResourcePath);
+                    const relativePath = path.relative(
+                        path.join(OUTPUT_DIR, cssRelativeDir),
+                        resourceTarget
+                    ).replace(/\\/g, '/'); // Use forward slashes for CSS URLs
+                    
+                    if (relativePath !== cssUrl) replacementsMade++;
+                    return relativePath;
+                });
                 
                 // Save the file if changes were made
                 if (replacementsMade > 0) {
                     fs.writeFileSync(cssFile, content);
-                    console.log(`Replaced ${replacementsMade} URLs in CSS file: ${path.relative(OUTPUT_DIR, cssFile)}`);
+                    logger.debug(`Replaced ${replacementsMade} URLs in CSS file: ${path.relative(OUTPUT_DIR, cssFile)}`);
                     processedCount++;
                 }
             } catch (error) {
-                console.error(`Error processing CSS file ${cssFile}:`, error);
+                logger.error(`Error processing CSS file ${cssFile}:`, error);
+                recordFileError(cssFile, error, 'css');
             }
         }
         
-        console.log(`\nProcessed ${processedCount} CSS files with URL replacements`);
-        console.log("\n--- CSS processing phase complete ---\n");
+        logger.info(`\nProcessed ${processedCount} CSS files with URL replacements`);
+        logger.info("\n--- CSS processing phase complete ---\n");
     }
 
     // Function to process JavaScript files and update URL references within them
     async function processJsFiles() {
-        console.log("\n--- Starting JS processing phase ---\n");
+        logger.info("\n--- Starting JS processing phase ---\n");
         
         // Use the same function to recursively get all files
         const getAllFiles = function(dirPath, arrayOfFiles) {
@@ -749,9 +1394,10 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
         };
         
         const allFiles = getAllFiles(OUTPUT_DIR);
-        const jsFiles = allFiles.filter(file => file.endsWith('.js'));
+        // Files left unchanged by an incremental run were already rewritten last time
+        const jsFiles = allFiles.filter(file => file.endsWith('.js') && !unchangedFiles.has(file));
         
-        console.log(`Found ${jsFiles.length} JavaScript files to process`);
+        logger.info(`Found ${jsFiles.length} JavaScript files to process`);
         
         // Create a mapping of all resources for URL resolution
         const resourceUrlMap = new Map();
@@ -784,7 +1430,8 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                     resourceUrlMap.set('/' + relativePath, relativePath); // Also map the path-only version
                 }
             } catch (error) {
-                console.error(`Error mapping resource ${file}: ${error.message}`);
+                logger.error(`Error mapping resource ${file}: ${error.message}`);
+                recordFileError(file, error, 'js');
             }
         }
         
@@ -945,21 +1592,22 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                 // Save the file if changes were made
                 if (replacementsMade > 0) {
                     fs.writeFileSync(jsFile, content);
-                    console.log(`Replaced ${replacementsMade} URLs in JS file: ${path.relative(OUTPUT_DIR, jsFile)}`);
+                    logger.debug(`Replaced ${replacementsMade} URLs in JS file: ${path.relative(OUTPUT_DIR, jsFile)}`);
                     processedCount++;
                 }
             } catch (error) {
-                console.error(`Error processing JS file ${jsFile}:`, error);
+                logger.error(`Error processing JS file ${jsFile}:`, error);
+                recordFileError(jsFile, error, 'js');
             }
         }
         
-        console.log(`\nProcessed ${processedCount} JavaScript files with URL replacements`);
-        console.log("\n--- JS processing phase complete ---\n");
+        logger.info(`\nProcessed ${processedCount} JavaScript files with URL replacements`);
+        logger.info("\n--- JS processing phase complete ---\n");
     }
 
     // Function to process HTML files and update all resource references
     async function processHtmlFiles() {
-        console.log("\n--- Starting HTML processing phase ---\n");
+        logger.info("\n--- Starting HTML processing phase ---\n");
         
         // Get all files recursively using the same utility function as other processors
         const getAllFiles = function(dirPath, arrayOfFiles) {
@@ -980,10 +1628,11 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
         };
         
         const allFiles = getAllFiles(OUTPUT_DIR);
-        const htmlFiles = allFiles.filter(file => file.endsWith('.html'));
+        // Files left unchanged by an incremental run were already rewritten last time
+        const htmlFiles = allFiles.filter(file => file.endsWith('.html') && !unchangedFiles.has(file));
         
-        console.log(`Found ${htmlFiles.length} HTML files to process`);
-        console.log(`First HTML file: ${htmlFiles.length > 0 ? htmlFiles[0] : 'none'}`);
+        logger.info(`Found ${htmlFiles.length} HTML files to process`);
+        logger.debug(`First HTML file: ${htmlFiles.length > 0 ? htmlFiles[0] : 'none'}`);
         
         // Create a mapping of all resources for URL resolution, similar to JS processing
         const resourceUrlMap = new Map();
@@ -1016,17 +1665,18 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                     resourceUrlMap.set('/' + relativePath, relativePath); // Also map the path-only version
                 }
             } catch (error) {
-                console.error(`Error mapping resource ${file}: ${error.message}`);
+                logger.error(`Error mapping resource ${file}: ${error.message}`);
+                recordFileError(file, error, 'html');
             }
         }
         
-        console.log(`Built a resource map with ${resourceUrlMap.size} entries`);
+        logger.debug(`Built a resource map with ${resourceUrlMap.size} entries`);
         
         // Debug: Log some sample entries from the resource map
-        console.log("Sample resource map entries:");
+        logger.trace("Sample resource map entries:");
         let count = 0;
         for (const [url, path] of resourceUrlMap.entries()) {
-            console.log(`  ${url} => ${path}`);
+            logger.trace(`  ${url} => ${path}`);
             count++;
             if (count >= 5) break; // Limit to 5 entries for brevity
         }
@@ -1045,345 +1695,138 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
             return 'other';
         }
         
+        // Helper function to rewrite quoted absolute URLs in script text or JSON, such as
+        // __NEXT_DATA__ and serialized JSX components (_jsx, _jsxs), whose quotes may be escaped.
+        // Returns the rewritten text and the number of URLs replaced.
+        function rewriteQuotedUrls(text, getLocalUrl) {
+            let replacements = 0;
+            const rewrittenText = text.replace(/(\\?["'])(https?:\/\/[^"'\\\s]+)\1/g, (match, quote, remoteUrl) => {
+                const localUrl = getLocalUrl(remoteUrl);
+                if (!localUrl) return match;
+                
+                logger.trace(`  Script URL replacement: ${remoteUrl} -> ${localUrl}`);
+                replacements++;
+                return `${quote}${localUrl}${quote}`;
+            });
+            return { text: rewrittenText, replacements };
+        }
+        
         let processedCount = 0;
         
         // Process each HTML file
         for (const htmlFile of htmlFiles) {
             try {
-                console.log(`\nProcessing HTML file: ${htmlFile}`);
+                logger.debug(`\nProcessing HTML file: ${htmlFile}`);
                 
                 // Read the HTML file
-                let htmlContent = fs.readFileSync(htmlFile, 'utf8');
-                
-                // Debug: Get a sample of the HTML content
-                const contentPreview = htmlContent.substring(0, 200).replace(/\n/g, ' ') + '...';
-                console.log(`HTML content preview: ${contentPreview}`);
-                
-                // Debug: Check if HTML contains any external URLs
-                const urlMatches = htmlContent.match(/https?:\/\/[^"'\s)]+/g) || [];
-                console.log(`Found ${urlMatches.length} external URLs in HTML`);
-                if (urlMatches.length > 0) {
-                    console.log(`Sample URLs found:`);
-                    urlMatches.slice(0, 3).forEach(url => console.log(`  ${url}`));
-                }
-                
-                // Debug: Check if HTML contains any relative URLs
-                const relativeMatches = htmlContent.match(/(?:href|src|content)=["']\/[^"']+["']/g) || [];
-                console.log(`Found ${relativeMatches.length} relative URLs in HTML`);
-                if (relativeMatches.length > 0) {
-                    console.log(`Sample relative URLs found:`);
-                    relativeMatches.slice(0, 3).forEach(url => console.log(`  ${url}`));
-                }
-                
-                // Debug: Check for JSON objects with URLs
-                // Look for potential JSON content in script tags or embedded directly
-                const jsonScriptMatches = htmlContent.match(/<script[^>]*>([\s\S]*?)<\/script>/gi) || [];
-                console.log(`Found ${jsonScriptMatches.length} script tags in HTML`);
+                const originalContent = fs.readFileSync(htmlFile, 'utf8');
                 
                 let replacementCounts = {
                     css: 0,
                     js: 0,
                     images: 0,
-                    fonts: 0,
-                    other: 0,
-                    jsonUrls: 0,  // Counter for JSON URL replacements
-                    jsxUrls: 0    // Counter for JSX component URL replacements
-                };
-                
-                // Get the relative directory of this HTML file (for creating correct relative paths)
-                const htmlRelativeDir = path.dirname(path.relative(OUTPUT_DIR, htmlFile));
-                console.log(`HTML relative directory: ${htmlRelativeDir}`);
-                
-                // First, process JSX components patterns (_jsx, _jsxs)
-                // These are common in Next.js serialized React components
-                
-                // Define patterns for JSX components with URLs
-                const jsxPatterns = [
-                    // Basic _jsx pattern with src attribute (common for images)
-                    /_jsx\(\s*[\w._]+\s*,\s*\{\s*src\s*:\s*["'](https?:\/\/[^"']+)["']/gi,
-                    
-                    // JSX with img tag and src attribute
-                    /_jsx\(\s*[\w._]+\.img\s*,\s*\{\s*src\s*:\s*["'](https?:\/\/[^"']+)["']/gi,
-                    
-                    // JSX with escaped double quotes (common in serialized JSX)
-                    /_jsx\(\s*[\w._]+\s*,\s*\{\s*src\s*:\s*\\["'](https?:\/\/[^\\'"]+)\\["']/gi,
-                    
-                    // JSX with children that is an image
-                    /children\s*:\s*_jsx\(\s*[\w._]+\s*,\s*\{\s*src\s*:\s*["'](https?:\/\/[^"']+)["']/gi,
-                    
-                    // Complex/nested JSX components with src attribute
-                    /src\s*:\s*["'](https?:\/\/[^"']+)["']/gi,
-                    
-                    // Escaped versions
-                    /src\\?:\s*\\?["'](https?:\/\/[^\\'"]+)\\?["']/gi
-                ];
-                
-                for (const pattern of jsxPatterns) {
-                    // Keep a copy of the original content for this pattern to avoid regex state issues
-                    const originalContent = htmlContent;
-                    let jsxMatches;
-                    let jsxReplacements = 0;
-                    
-                    while ((jsxMatches = pattern.exec(originalContent)) !== null) {
-                        const fullMatch = jsxMatches[0];
-                        const urlMatch = jsxMatches[1]; // The captured URL
-                        
-                        if (!urlMatch || !urlMatch.startsWith('http')) continue;
-                        
-                        console.log(`Found JSX URL: ${urlMatch}`);
-                        
-                        // Find the local path for this URL
-                        const localPath = resourceUrlMap.get(urlMatch);
-                        
-                        if (localPath) {
-                            // Make the path relative to the HTML file
-                            const resourceTarget = path.join(OUTPUT_DIR, localPath);
-                            const relativePath = path.relative(
-                                path.join(OUTPUT_DIR, htmlRelativeDir),
-                                resourceTarget
-                            ).replace(/\\/g, '/'); // Use forward slashes
-                            
-                            console.log(`  JSX URL replacement: ${urlMatch} -> ${relativePath}`);
-                            
-                            // Create a replacement that preserves the JSX structure
-                            // Detect if we're dealing with escaped quotes or normal quotes
-                            const hasEscapedQuotes = fullMatch.includes('\\"') || fullMatch.includes("\\'");
-                            
-                            // Handle different quoting styles in the replacement
-                            let replacement;
-                            if (hasEscapedQuotes) {
-                                // For escaped quotes, preserve the escaping
-                                if (fullMatch.includes('\\"')) {
-                                    replacement = fullMatch.replace(urlMatch, relativePath);
-                                } else {
-                                    replacement = fullMatch.replace(urlMatch, relativePath);
-                                }
-                            } else {
-                                // For regular quotes
-                                replacement = fullMatch.replace(urlMatch, relativePath);
-                            }
-                            
-                            // Replace the matched text with our modified version
-                            htmlContent = htmlContent.replace(fullMatch, replacement);
-                            
-                            jsxReplacements++;
-                        }
-                    }
-                    
-                    if (jsxReplacements > 0) {
-                        replacementCounts.jsxUrls += jsxReplacements;
-                        console.log(`Made ${jsxReplacements} JSX URL replacements for pattern ${pattern}`);
-                    }
-                }
-                
-                // Process JSON objects (previously implemented)
-                const jsonUrlPatterns = [
-                    // Common JSON patterns with URLs as values
-                    /"(?:src|url|href|background|image|logo|avatar|icon|thumbnail|banner|media|dark|light)":\s*"(https?:\/\/[^"]+)"/gi,
-                    // URLs in arrays
-                    /\[\s*"(https?:\/\/[^"]+)"\s*\]/gi,
-                    // Generic URL detection in JSON strings
-                    /"(https?:\/\/[^"]+\.(?:jpg|jpeg|png|gif|svg|webp|mp4|mp3|pdf|css|js))"/gi
-                ];
-                
-                for (const pattern of jsonUrlPatterns) {
-                    const originalContent = htmlContent;
-                    let jsonMatches;
-                    let jsonReplacements = 0;
-                    
-                    while ((jsonMatches = pattern.exec(originalContent)) !== null) {
-                        const fullMatch = jsonMatches[0];
-                        const urlMatch = jsonMatches[1];
-                        
-                        if (!urlMatch || !urlMatch.startsWith('http')) continue;
-                        
-                        console.log(`Found JSON URL: ${urlMatch}`);
-                        
-                        // Find the local path for this URL
-                        const localPath = resourceUrlMap.get(urlMatch);
-                        
-                        if (localPath) {
-                            // Make the path relative to the HTML file
-                            const resourceTarget = path.join(OUTPUT_DIR, localPath);
-                            const relativePath = path.relative(
-                                path.join(OUTPUT_DIR, htmlRelativeDir),
-                                resourceTarget
-                            ).replace(/\\/g, '/'); // Use forward slashes
-                            
-                            console.log(`  JSON URL replacement: ${urlMatch} -> ${relativePath}`);
-                            
-                            // Create a replacement that preserves the JSON structure
-                            const replacement = fullMatch.replace(urlMatch, relativePath);
-                            htmlContent = htmlContent.replace(fullMatch, replacement);
-                            
-                            jsonReplacements++;
-                        }
-                    }
-                    
-                    if (jsonReplacements > 0) {
-                        replacementCounts.jsonUrls += jsonReplacements;
-                        console.log(`Made ${jsonReplacements} JSON URL replacements`);
-                    }
-                }
+                    fonts: 0,
+                    other: 0,
+                    scriptUrls: 0  // Counter for URLs in JSON data and JSX components of inline scripts
+                };
                 
-                // Process regular URL patterns in HTML attributes (unchanged from before)
-                for (const [remoteUrl, localPath] of resourceUrlMap.entries()) {
-                    // Skip URLs that are not full URLs (to avoid duplicates)
-                    if (!remoteUrl.startsWith('http') && !remoteUrl.startsWith('/')) continue;
-                    
-                    // Debug: Check if the current remoteUrl appears in the HTML content
-                    const urlInHtml = htmlContent.includes(remoteUrl);
-                    
-                    // Debug: For debugging, log only if the URL is found in the HTML
-                    if (urlInHtml) {
-                        console.log(`Found match: ${remoteUrl} in HTML`);
-                    }
-                    
-                    // Determine resource type
-                    const isCSS = remoteUrl.toLowerCase().includes('.css') || categorizeResource(remoteUrl) === 'css';
-                    const isJS = remoteUrl.toLowerCase().includes('.js') || categorizeResource(remoteUrl) === 'js';
-                    const isImage = ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'ico', 'avif'].some(ext => 
-                        remoteUrl.toLowerCase().includes('.' + ext)) || categorizeResource(remoteUrl) === 'image';
-                    const isFont = ['woff', 'woff2', 'ttf', 'otf', 'eot'].some(ext => 
-                        remoteUrl.toLowerCase().includes('.' + ext)) || categorizeResource(remoteUrl) === 'font';
-                    
-                    // Get the resource type for tracking replacements
-                    let resourceType = 'other';
-                    if (isCSS) resourceType = 'css';
-                    else if (isJS) resourceType = 'js';
-                    else if (isImage) resourceType = 'images';
-                    else if (isFont) resourceType = 'fonts';
-                    
-                    // Local path should use forward slashes for URLs in HTML
-                    const localUrl = localPath.replace(/\\/g, '/');
+                // Get the relative directory of this HTML file (for creating correct relative paths)
+                const htmlRelativeDir = path.dirname(path.relative(OUTPUT_DIR, htmlFile));
+                logger.trace(`HTML relative directory: ${htmlRelativeDir}`);
+                
+                // Find the local path for a URL, relative to the HTML file
+                const getLocalUrl = (remoteUrl) => {
+                    const localPath = resourceUrlMap.get(remoteUrl);
+                    if (!localPath) return null;
                     
-                    // Make the path relative to the current HTML file
                     const resourceTarget = path.join(OUTPUT_DIR, localPath);
-                    const relativePath = path.relative(
+                    return path.relative(
                         path.join(OUTPUT_DIR, htmlRelativeDir),
                         resourceTarget
                     ).replace(/\\/g, '/'); // Use forward slashes for HTML URLs
-                    
-                    // Debug: Log the path calculation for hits
-                    if (urlInHtml) {
-                        console.log(`  Remote URL: ${remoteUrl}`);
-                        console.log(`  Local path: ${localPath}`);
-                        console.log(`  Relative path: ${relativePath}`);
-                    }
-                    
-                    // Create regex patterns that cover the common ways URLs appear in HTML
-                    const regexPatterns = [];
-                    
-                    if (remoteUrl.startsWith('http')) {
-                        // For absolute URLs
-                        regexPatterns.push(
-                            // href attribute
-                            new RegExp(`href=["']${escapeRegExp(remoteUrl)}["']`, 'gi'),
-                            // src attribute
-                            new RegExp(`src=["']${escapeRegExp(remoteUrl)}["']`, 'gi'),
-                            // background or content
-                            new RegExp(`(background|content)=["']${escapeRegExp(remoteUrl)}["']`, 'gi'),
-                            // url() in style
-                            new RegExp(`url\\(["']?${escapeRegExp(remoteUrl)}["']?\\)`, 'gi')
-                        );
-                    }
-                    
-                    // Also try with the URL path (without domain)
-                    if (remoteUrl.startsWith('/')) {
-                        regexPatterns.push(
-                            // href attribute
-                            new RegExp(`href=["']${escapeRegExp(remoteUrl)}["']`, 'gi'),
-                            // src attribute
-                            new RegExp(`src=["']${escapeRegExp(remoteUrl)}["']`, 'gi'),
-                            // background or content
-                            new RegExp(`(background|content)=["']${escapeRegExp(remoteUrl)}["']`, 'gi'),
-                            // url() in style
-                            new RegExp(`url\\(["']?${escapeRegExp(remoteUrl)}["']?\\)`, 'gi')
-                        );
-                    }
-                    
-                    // Try to match and replace using the patterns
-                    let patternMatches = 0;
-                    
-                    for (const pattern of regexPatterns) {
-                        // Debug: Check if this pattern matches anything in the content
-                        const matches = htmlContent.match(pattern);
-                        if (matches && matches.length > 0) {
-                            console.log(`  Pattern ${pattern} matched ${matches.length} times`);
-                            console.log(`  Example match: ${matches[0]}`);
-                            
-                            // Perform the replacement
-                            const originalContent = htmlContent;
-                            
-                            // Replace with the relative path
-                            htmlContent = htmlContent.replace(pattern, (match) => {
-                                // Determine what attribute type this is
-                                if (match.includes('href=')) {
-                                    return `href="${relativePath}"`;
-                                } else if (match.includes('src=')) {
-                                    return `src="${relativePath}"`;
-                                } else if (match.includes('background=')) {
-                                    return `background="${relativePath}"`;
-                                } else if (match.includes('content=')) {
-                                    return `content="${relativePath}"`;
-                                } else if (match.includes('url(')) {
-                                    return `url('${relativePath}')`;
-                                }
-                                return match.replace(remoteUrl, relativePath);
-                            });
-                            
-                            // Check if the replacement actually changed anything
-                            if (originalContent !== htmlContent) {
-                                patternMatches += matches.length;
-                                console.log(`  Successfully replaced ${matches.length} occurrences`);
-                            } else {
-                                console.log(`  WARNING: Replacement didn't change content!`);
-                            }
+                };
+                
+                const htmlContent = rewriteHtmlUrls(originalContent, {
+                    // URLs in attributes, srcset candidates, <style> blocks and style attributes
+                    rewriteUrl: (remoteUrl) => {
+                        // Skip URLs that are not full URLs (to avoid duplicates)
+                        if (!remoteUrl.startsWith('http') && !remoteUrl.startsWith('/')) return null;
+                        
+                        const relativePath = getLocalUrl(remoteUrl);
+                        if (relativePath) {
+                            logger.trace(`  URL replacement: ${remoteUrl} -> ${relativePath}`);
+                            const resourceType = { css: 'css', js: 'js', image: 'images', font: 'fonts' }[categorizeResource(remoteUrl)] || 'other';
+                            replacementCounts[resourceType]++;
                         }
+                        return relativePath;
+                    },
+                    // Quoted absolute URLs in inline scripts, such as the JSON of __NEXT_DATA__ and
+                    // serialized JSX components (_jsx, _jsxs), whose quotes may be escaped
+                    rewriteScript: (scriptText) => {
+                        const { text, replacements } = rewriteQuotedUrls(scriptText, getLocalUrl);
+                        replacementCounts.scriptUrls += replacements;
+                        return replacements > 0 ? text : null;
                     }
-                    
-                    // If we made any replacements, update the count
-                    if (patternMatches > 0) {
-                        replacementCounts[resourceType] += patternMatches;
-                    }
-                }
+                });
                 
                 // Total replacements
                 const totalReplacements = Object.values(replacementCounts).reduce((sum, count) => sum + count, 0);
-                console.log(`Total replacements for this HTML file: ${totalReplacements}`);
-                console.log(`  - CSS: ${replacementCounts.css}`);
-                console.log(`  - JS: ${replacementCounts.js}`);
-                console.log(`  - Images: ${replacementCounts.images}`);
-                console.log(`  - Fonts: ${replacementCounts.fonts}`);
-                console.log(`  - Other: ${replacementCounts.other}`);
-                console.log(`  - JSON URLs: ${replacementCounts.jsonUrls}`);
-                console.log(`  - JSX Component URLs: ${replacementCounts.jsxUrls}`);
+                logger.debug(`Total replacements for this HTML file: ${totalReplacements}`);
+                logger.debug(`  - CSS: ${replacementCounts.css}`);
+                logger.debug(`  - JS: ${replacementCounts.js}`);
+                logger.debug(`  - Images: ${replacementCounts.images}`);
+                logger.debug(`  - Fonts: ${replacementCounts.fonts}`);
+                logger.debug(`  - Other: ${replacementCounts.other}`);
+                logger.debug(`  - Script URLs: ${replacementCounts.scriptUrls}`);
                 
                 // Save the file if changes were made
                 if (totalReplacements > 0) {
                     fs.writeFileSync(htmlFile, htmlContent);
-                    console.log(`Saved HTML file with ${totalReplacements} URLs replaced: ${path.relative(OUTPUT_DIR, htmlFile)}`);
+                    logger.debug(`Saved HTML file with ${totalReplacements} URLs replaced: ${path.relative(OUTPUT_DIR, htmlFile)}`);
                     processedCount++;
                 } else {
-                    console.log(`No changes made to HTML file: ${path.relative(OUTPUT_DIR, htmlFile)}`);
+                    logger.debug(`No changes made to HTML file: ${path.relative(OUTPUT_DIR, htmlFile)}`);
                 }
             } catch (error) {
-                console.error(`Error processing HTML file ${htmlFile}: ${error.message}`);
+                logger.error(`Error processing HTML file ${htmlFile}: ${error.message}`);
+                recordFileError(htmlFile, error, 'html');
             }
         }
         
-        console.log(`\nProcessed ${processedCount} HTML files with URL replacements`);
-        console.log("\n--- HTML processing phase complete ---\n");
-    }
-
-    // Helper function to escape special characters in regex
-    function escapeRegExp(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // $& means the whole matched string
+        logger.info(`\nProcessed ${processedCount} HTML files with URL replacements`);
+        
+        // The router fetches a page's _next/data file from whichever page it navigates from,
+        // so its URLs are mapped to root-relative paths. Files already mapped by an earlier
+        // run have no absolute URLs left, so all of them are processed.
+        const dataFiles = new Set(collectedData.pages.map(page => page.dataFile).filter(Boolean));
+        let dataFileCount = 0;
+        for (const dataFile of dataFiles) {
+            const dataFilePath = path.join(OUTPUT_DIR, dataFile);
+            try {
+                if (!fs.existsSync(dataFilePath)) continue;
+                
+                const { text, replacements } = rewriteQuotedUrls(fs.readFileSync(dataFilePath, 'utf8'), (remoteUrl) => {
+                    const localPath = resourceUrlMap.get(remoteUrl);
+                    return localPath ? `/${localPath}` : null;
+                });
+                if (replacements > 0) {
+                    fs.writeFileSync(dataFilePath, text);
+                    logger.debug(`Saved Next.js data with ${replacements} URLs replaced: ${dataFile}`);
+                    dataFileCount++;
+                }
+            } catch (error) {
+                logger.error(`Error processing Next.js data file ${dataFilePath}: ${error.message}`);
+                recordFileError(dataFilePath, error, 'html');
+            }
+        }
+        
+        logger.info(`Processed ${dataFileCount} Next.js data files with URL replacements`);
+        logger.info("\n--- HTML processing phase complete ---\n");
     }
 
     // Function to process JavaScript files for edge cases and special patterns
     async function processJsFilesEdgeCases() {
-        console.log("\n--- Starting JS edge case processing phase ---\n");
+        logger.info("\n--- Starting JS edge case processing phase ---\n");
         
         // Get all files recursively using the same utility function as other processors
         const getAllFiles = function(dirPath, arrayOfFiles) {
@@ -1404,9 +1847,10 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
         };
         
         const allFiles = getAllFiles(OUTPUT_DIR);
-        const jsFiles = allFiles.filter(file => file.endsWith('.js'));
+        // Files left unchanged by an incremental run were already rewritten last time
+        const jsFiles = allFiles.filter(file => file.endsWith('.js') && !unchangedFiles.has(file));
         
-        console.log(`Found ${jsFiles.length} JavaScript files to process for edge cases`);
+        logger.info(`Found ${jsFiles.length} JavaScript files to process for edge cases`);
         
         // Create a mapping of all resources for URL resolution
         const resourceUrlMap = new Map();
@@ -1439,7 +1883,8 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                     resourceUrlMap.set('/' + relativePath, relativePath); // Also map the path-only version
                 }
             } catch (error) {
-                console.error(`Error mapping resource ${file}: ${error.message}`);
+                logger.error(`Error mapping resource ${file}: ${error.message}`);
+                recordFileError(file, error, 'jsEdgeCases');
             }
         }
         
@@ -1474,7 +1919,7 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                                     resourceTarget
                                 ).replace(/\\/g, '/'); // Use forward slashes for JS
                                 
-                                console.log(`  JSX URL replacement in JS file: ${url} -> ${relativePath}`);
+                                logger.trace(`  JSX URL replacement in JS file: ${url} -> ${relativePath}`);
                                 
                                 // For escaped quotes
                                 if (match.includes('\\"')) {
@@ -1501,7 +1946,7 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                                     resourceTarget
                                 ).replace(/\\/g, '/'); // Use forward slashes for JS
                                 
-                                console.log(`  JSX nested URL replacement in JS file: ${url} -> ${relativePath}`);
+                                logger.trace(`  JSX nested URL replacement in JS file: ${url} -> ${relativePath}`);
                                 
                                 return match.replace(url, relativePath);
                             }
@@ -1523,7 +1968,7 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                                     resourceTarget
                                 ).replace(/\\/g, '/'); // Use forward slashes for JS
                                 
-                                console.log(`  Mintlify URL replacement: ${url} -> ${relativePath}`);
+                                logger.trace(`  Mintlify URL replacement: ${url} -> ${relativePath}`);
                                 
                                 return relativePath;
                             }
@@ -1545,7 +1990,7 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                                     resourceTarget
                                 ).replace(/\\/g, '/'); // Use forward slashes for JS
                                 
-                                console.log(`  Template literal URL replacement: ${url} -> ${relativePath}`);
+                                logger.trace(`  Template literal URL replacement: ${url} -> ${relativePath}`);
                                 
                                 return '${' + relativePath + '}';
                             }
@@ -1582,7 +2027,7 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                     
                     if (matchCount > 0) {
                         replacementsMade += matchCount;
-                        console.log(`Made ${matchCount} replacements with pattern ${pattern}`);
+                        logger.debug(`Made ${matchCount} replacements with pattern ${pattern}`);
                     }
                 }
                 
@@ -1624,28 +2069,87 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                     const matchCount = (originalContent.match(pattern) || []).length;
                     if (matchCount > 0) {
                         replacementsMade += matchCount;
-                        console.log(`Made ${matchCount} replacements with edge case pattern ${pattern}`);
+                        logger.debug(`Made ${matchCount} replacements with edge case pattern ${pattern}`);
                     }
                 }
                 
                 // Save the file if changes were made
                 if (replacementsMade > 0) {
                     fs.writeFileSync(jsFile, content);
-                    console.log(`Replaced ${replacementsMade} patterns in JS file: ${path.relative(OUTPUT_DIR, jsFile)}`);
+                    logger.debug(`Replaced ${replacementsMade} patterns in JS file: ${path.relative(OUTPUT_DIR, jsFile)}`);
                     processedCount++;
                 }
             } catch (error) {
-                console.error(`Error processing JS file ${jsFile} for edge cases:`, error);
+                logger.error(`Error processing JS file ${jsFile} for edge cases:`, error);
+                recordFileError(jsFile, error, 'jsEdgeCases');
+            }
+        }
+        
+        logger.info(`\nProcessed ${processedCount} JavaScript files for edge cases`);
+        logger.info("\n--- JS edge case processing phase complete ---\n");
+    }
+
+    // Function to remove analytics, telemetry, chat widgets and AI assistants from the HTML
+    // files, and add the script that blocks their requests from the site's own bundles
+    async function sanitizeHtmlFiles() {
+        logger.info("\n--- Starting sanitization phase ---\n");
+        
+        // Get all files recursively using the same utility function as other processors
+        const getAllFiles = function(dirPath, arrayOfFiles) {
+            const files = fs.readdirSync(dirPath);
+            
+            arrayOfFiles = arrayOfFiles || [];
+            
+            files.forEach(function(file) {
+                const filePath = path.join(dirPath, file);
+                if (fs.statSync(filePath).isDirectory()) {
+                    arrayOfFiles = getAllFiles(filePath, arrayOfFiles);
+                } else {
+                    arrayOfFiles.push(filePath);
+                }
+            });
+            
+            return arrayOfFiles;
+        };
+        
+        // Files left unchanged by an incremental run were already sanitized last time
+        const htmlFiles = getAllFiles(OUTPUT_DIR).filter(file => file.endsWith('.html') && !unchangedFiles.has(file));
+        const trackers = withExtraHosts(stripHosts);
+        const removedByTracker = {};
+        let sanitizedCount = 0;
+        
+        for (const htmlFile of htmlFiles) {
+            try {
+                const htmlContent = fs.readFileSync(htmlFile, 'utf8');
+                const { html, removed } = sanitizeHtml(htmlContent, trackers);
+                if (html === htmlContent) continue;
+                
+                fs.writeFileSync(htmlFile, html);
+                sanitizedCount++;
+                
+                const relativeFile = path.relative(OUTPUT_DIR, htmlFile).replace(/\\/g, '/');
+                for (const { name, category, element } of removed) {
+                    crawlReport.recordRemoved(relativeFile, name, category, element);
+                    removedByTracker[name] = (removedByTracker[name] || 0) + 1;
+                }
+                if (removed.length > 0) {
+                    logger.debug(`Removed ${removed.map(entry => `${entry.name} ${entry.element}`).join(', ')} from ${relativeFile}`);
+                }
+            } catch (error) {
+                logger.error(`Error sanitizing ${htmlFile}: ${error.message}`);
+                recordFileError(htmlFile, error, 'sanitize');
             }
         }
         
-        console.log(`\nProcessed ${processedCount} JavaScript files for edge cases`);
-        console.log("\n--- JS edge case processing phase complete ---\n");
+        collectedData.stats.removedTrackers = removedByTracker;
+        const summary = Object.entries(removedByTracker).map(([name, count]) => `${name} ${count}`).join(', ');
+        logger.info(`Sanitized ${sanitizedCount} of ${htmlFiles.length} HTML files${summary ? `; removed ${summary}` : '; no known trackers found'}`);
+        logger.info("\n--- Sanitization phase complete ---\n");
     }
 
     // Function to download masked SVG resources
     async function downloadMaskedSvgResources() {
-        console.log("\n--- Starting masked SVG resources download ---\n");
+        logger.info("\n--- Starting masked SVG resources download ---\n");
 
         // Get all HTML and CSS files to scan for mask references
         const getAllFiles = function(dirPath, arrayOfFiles) {
@@ -1680,7 +2184,7 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
         ];
         
         // Scan all files for mask-image and -webkit-mask-image URLs
-        console.log("Scanning files for masked SVG references...");
+        logger.info("Scanning files for masked SVG references...");
         for (const file of cssAndHtmlFiles) {
             try {
                 const content = fs.readFileSync(file, 'utf8');
@@ -1707,27 +2211,39 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                     }
                 }
             } catch (error) {
-                console.error(`Error scanning file ${file} for mask URLs:`, error);
+                logger.error(`Error scanning file ${file} for mask URLs:`, error);
+                recordFileError(file, error, 'maskedSvg');
             }
         }
         
-        console.log(`Found ${maskedUrls.size} masked SVG URLs to download`);
+        logger.info(`Found ${maskedUrls.size} masked SVG URLs to download`);
         
-        // Download each masked resource
+        // Download each masked resource. URLs that fail with a transient error are added
+        // to the end of the list once, so they are tried again after the others.
         let downloadedCount = 0;
-        for (const url of maskedUrls) {
+        const downloadQueue = [...maskedUrls];
+        const requeuedUrls = new Set();
+        const retryLater = (url, reason) => {
+            if (requeuedUrls.has(url)) {
+                addFailure('maskedSvg', url, reason);
+                return;
+            }
+            requeuedUrls.add(url);
+            downloadQueue.push(url);
+        };
+        for (const url of downloadQueue) {
             if (url.includes('/duotone/') || url.includes('/regular/') || url.includes('/solid/') || url.includes('/brands/')) {
                 try {
                     // Check if the URL is allowed
                     if (!isAllowedUrl(url)) {
-                        console.log(`Skipping masked URL from disallowed domain: ${url}`);
+                        logger.debug(`Skipping masked URL from disallowed domain: ${url}`);
                         continue;
                     }
                     
                     // Get the relative path for this resource
                     const relativePath = getRelativePath(url);
                     if (!relativePath) {
-                        console.log(`Unable to determine relative path for: ${url}`);
+                        logger.debug(`Unable to determine relative path for: ${url}`);
                         continue;
                     }
                     
@@ -1736,7 +2252,7 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                     
                     // Check if file already exists (might have been downloaded earlier)
                     if (fs.existsSync(localPath)) {
-                        console.log(`Masked SVG already exists: ${relativePath}`);
+                        logger.debug(`Masked SVG already exists: ${relativePath}`);
                         continue;
                     }
                     
@@ -1745,18 +2261,33 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                     try {
                         fs.mkdirSync(dir, { recursive: true });
                     } catch (dirError) {
-                        console.error(`Error creating directory ${dir}:`, dirError);
+                        logger.error(`Error creating directory ${dir}:`, dirError);
+                        crawlReport.recordError('maskedSvg', url, dirError, 'maskedSvg');
                         continue;
                     }
                     
                     // Download the resource
-                    console.log(`Downloading masked SVG: ${url} -> ${localPath}`);
+                    logger.debug(`Downloading masked SVG: ${url} -> ${localPath}`);
                     
                     try {
-                        const response = await fetch(url);
+                        if (!(await isAllowedByRobots(url))) {
+                            logger.debug(`Blocked by robots.txt, not downloading: ${url}`);
+                            collectedData.stats.blockedByRobots.resources++;
+                            crawlReport.recordSkipped('resource', url, 'robots');
+                            continue;
+                        }
+                        
+                        const response = await fetchWithRetry(politeFetch, url, {}, RETRY_POLICY, logger);
+                        crawlReport.recordResponse('maskedSvg', url, response.status, response.statusText);
                         
                         if (!response.ok) {
-                            console.error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
+                            const reason = `${response.status} ${response.statusText}`;
+                            logger.warn(`Failed to download ${url}: ${reason}`);
+                            if (isRetryableStatus(response.status)) {
+                                retryLater(url, reason);
+                            } else {
+                                addFailure('maskedSvg', url, reason);
+                            }
                             continue;
                         }
                         
@@ -1764,21 +2295,24 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                         const buffer = await response.arrayBuffer();
                         fs.writeFileSync(localPath, Buffer.from(buffer));
                         downloadedCount++;
+                        recordSavedResource(url, localPath);
                     } catch (fetchError) {
-                        console.error(`Failed to fetch ${url}:`, fetchError.message);
+                        logger.warn(`Failed to fetch ${url}:`, fetchError.message);
+                        retryLater(url, fetchError.message);
                         continue;
                     }
                 } catch (error) {
-                    console.error(`Error downloading masked SVG ${url}:`, error);
+                    logger.error(`Error downloading masked SVG ${url}:`, error);
+                    crawlReport.recordError('maskedSvg', url, error, 'maskedSvg');
                 }
             }
         }
         
-        console.log(`\nDownloaded ${downloadedCount} masked SVG files`);
-        console.log("\n--- Masked SVG download complete ---\n");
+        logger.info(`\nDownloaded ${downloadedCount} masked SVG files`);
+        logger.info("\n--- Masked SVG download complete ---\n");
         
         // Now update all mask-image references in files
-        console.log("\n--- Starting mask-image URL replacements ---\n");
+        logger.info("\n--- Starting mask-image URL replacements ---\n");
         
         let updatedFileCount = 0;
         
@@ -1838,21 +2372,22 @@ async function runScraper({domain = 'docs.cursor.com', maxPages = 5}) {
                 // Save the file if changes were made
                 if (originalContent !== content) {
                     fs.writeFileSync(file, content);
-                    console.log(`Updated ${replacementsMade} mask image URLs in ${path.relative(OUTPUT_DIR, file)}`);
+                    logger.debug(`Updated ${replacementsMade} mask image URLs in ${path.relative(OUTPUT_DIR, file)}`);
                     updatedFileCount++;
                 }
             } catch (error) {
-                console.error(`Error updating mask URLs in ${file}:`, error);
+                logger.error(`Error updating mask URLs in ${file}:`, error);
+                recordFileError(file, error, 'maskedSvg');
             }
         }
         
-        console.log(`\nUpdated mask image URLs in ${updatedFileCount} files`);
-        console.log("\n--- Mask-image URL replacements complete ---\n");
+        logger.info(`\nUpdated mask image URLs in ${updatedFileCount} files`);
+        logger.info("\n--- Mask-image URL replacements complete ---\n");
     }
 
     // Function to create the preview-website.bat file in the output directory
     async function createPreviewBatFile() {
-        console.log("\n--- Creating preview-website.bat file ---\n");
+        logger.info("\n--- Creating preview-website.bat file ---\n");
         
         // Content for the batch file to start a local server
         const batFileContent = `@echo off
@@ -1878,17 +2413,17 @@ if %ERRORLEVEL% neq 0 (
             // Write the batch file to the output directory
             const batFilePath = path.join(OUTPUT_DIR, 'preview-website.bat');
             fs.writeFileSync(batFilePath, batFileContent);
-            console.log(`Created preview batch file: ${batFilePath}`);
+            logger.info(`Created preview batch file: ${batFilePath}`);
         } catch (error) {
-            console.error(`Error creating preview batch file: ${error.message}`);
+            logger.error(`Error creating preview batch file: ${error.message}`);
         }
         
-        console.log("\n--- Preview batch file creation complete ---\n");
+        logger.info("\n--- Preview batch file creation complete ---\n");
     }
 
     // Function to create the preview-website.command file for macOS
     async function createPreviewCommandFile() {
-        console.log("\n--- Creating preview-website.command file for macOS ---\n");
+        logger.info("\n--- Creating preview-website.command file for macOS ---\n");
         
         // Content for the command file to start a local server on macOS
         const commandFileContent = `#!/bin/bash
@@ -1923,92 +2458,673 @@ read -p "Server stopped. Press Enter to close..."`;
             // Make the file executable on Unix-like systems
             try {
                 fs.chmodSync(commandFilePath, '755');
-                console.log(`Created and made executable the preview command file: ${commandFilePath}`);
+                logger.info(`Created and made executable the preview command file: ${commandFilePath}`);
             } catch (chmodError) {
                 // If chmod fails (e.g., on Windows), just log a message
-                console.log(`Created preview command file: ${commandFilePath}`);
-                console.log('Note: You may need to make this file executable on macOS with: chmod +x preview-website.command');
+                logger.info(`Created preview command file: ${commandFilePath}`);
+                logger.info('Note: You may need to make this file executable on macOS with: chmod +x preview-website.command');
             }
         } catch (error) {
-            console.error(`Error creating preview command file: ${error.message}`);
+            logger.error(`Error creating preview command file: ${error.message}`);
         }
         
-        console.log("\n--- Preview command file creation complete ---\n");
+        logger.info("\n--- Preview command file creation complete ---\n");
     }
 
-    console.log(`Starting scraper for ${BASE_URL}`);
-    console.log(`Limiting to ${MAX_PAGES} pages`);
-    console.log(`Output directory: ${OUTPUT_DIR}/`);
-    
-    const browser = await puppeteer.launch({
-        headless: "new",
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    
-    try {
-        let processed = 0;
+    // Function to get the parsed __NEXT_DATA__ of a page from its server-rendered HTML.
+    // Returns null if the page can't be fetched or has no Next.js data.
+    async function fetchNextData(pageUrl) {
+        try {
+            if (!(await isAllowedByRobots(pageUrl))) {
+                throw new Error('blocked by robots.txt');
+            }
+            const response = await politeFetch(pageUrl);
+            if (!response.ok) {
+                logger.info(`Could not fetch ${pageUrl} for navigation data: ${response.status} ${response.statusText}`);
+                return null;
+            }
+            const nextData = jsonExtractor.parseNextData(await response.text());
+            if (!nextData) {
+                logger.info(`No __NEXT_DATA__ found on ${pageUrl}, skipping navigation seeding`);
+            }
+            return nextData;
+        } catch (error) {
+            logger.warn(`Failed to fetch navigation data from ${pageUrl}:`, error.message);
+            return null;
+        }
+    }
+
+    // Function to seed the crawl queue with pages listed in sitemap.xml and in the
+    // navigation data embedded in __NEXT_DATA__. This finds pages that nothing links
+    // to and pages hidden in collapsed sidebar groups. Each version and language the
+    // navigation declares is seeded as a variant of its own.
+    async function seedPagesFromSiteMetadata() {
+        logger.info("\n--- Seeding crawl queue from navigation and sitemap ---\n");
+        
+        // Navigation data comes from the server-rendered HTML of the start page
+        let navigationUrls = [];
+        const toUrls = (paths) => paths.map(pagePath => normalizeUrl(new URL(pagePath, BASE_URL).href));
+        const startData = await fetchNextData(BASE_URL);
+        if (startData) {
+            navigationUrls = jsonExtractor.extractNavigationPaths(startData)
+                .map(pagePath => new URL(pagePath, BASE_URL).href);
+            logger.info(`Navigation data lists ${navigationUrls.length} pages`);
+            
+            collectedData.variants = jsonExtractor.extractNavigationVariants(startData)
+                .map(({ paths, ...variant }) => ({ ...variant, urls: toUrls(paths).filter(isSitePage) }));
+        }
         
-        while (pagesToProcess.length > 0 && (MAX_PAGES === -1 || processed < MAX_PAGES)) {
-            const currentUrl = pagesToProcess.shift();
+        // The start page often embeds only the sidebar of its own variant, so read the
+        // navigation of every other variant from its first page. Pages listed there
+        // without a version or language tag belong to that variant.
+        for (const variant of collectedData.variants) {
+            const entryUrl = variant.urls[0];
+            if (!entryUrl || entryUrl === normalizeUrl(BASE_URL)) continue;
+            
+            const variantData = await fetchNextData(entryUrl);
+            if (!variantData) continue;
             
-            // Process the page and get links
-            const links = await processPage(currentUrl, browser);
+            const taggedUrls = new Set();
+            for (const { name, paths } of jsonExtractor.extractNavigationVariants(variantData)) {
+                const urls = toUrls(paths).filter(isSitePage);
+                urls.forEach(pageUrl => taggedUrls.add(pageUrl));
+                const knownVariant = collectedData.variants.find(other => other.name === name);
+                if (knownVariant) {
+                    knownVariant.urls.push(...urls.filter(pageUrl => !knownVariant.urls.includes(pageUrl)));
+                }
+            }
+            const untaggedUrls = toUrls(jsonExtractor.extractNavigationPaths(variantData))
+                .filter(pageUrl => isSitePage(pageUrl) && !taggedUrls.has(pageUrl) && !variant.urls.includes(pageUrl));
+            variant.urls.push(...untaggedUrls);
+        }
+        
+        if (collectedData.variants.length > 0) {
+            logger.info(`Navigation declares ${collectedData.variants.length} variants: ${collectedData.variants
+                .map(variant => `${variant.name} (${variant.urls.length} pages${variant.prefix ? ` under ${variant.prefix}` : ''})`).join(', ')}`);
+            const listedUrls = new Set(navigationUrls.map(normalizeUrl));
+            for (const variant of collectedData.variants) {
+                navigationUrls.push(...variant.urls.filter(pageUrl => !listedUrls.has(pageUrl)));
+                variant.urls.forEach(pageUrl => listedUrls.add(pageUrl));
+            }
+        }
+        
+        const sitemapUrls = await fetchSitemapUrls(`${BASE_URL}/sitemap.xml`, politeFetch, logger);
+        
+        // Used when the queue is ordered by navigation, and saved so a resumed crawl keeps it
+        navigationOrder = navigationUrls;
+        pagesToProcess.setNavigationOrder(navigationUrls);
+        
+        // Navigation first so the queue follows the sidebar order where possible
+        for (const [source, urls] of [['navigation', navigationUrls], ['sitemap', sitemapUrls]]) {
+            const sitePages = urls.filter(isSitePage);
+            let added = 0;
+            for (const pageUrl of sitePages) {
+                // Seeded pages count as one link away from the start page
+                if (enqueuePage(pageUrl, source, 1)) {
+                    added++;
+                }
+            }
+            collectedData.stats.seededPages[source] = sitePages.length;
+            logger.info(`Queued ${added} pages from ${source} (${sitePages.length} listed on ${BASE_DOMAIN})`);
+        }
+        
+        logger.info("\n--- Seeding complete ---\n");
+    }
+
+    // Function to record the pages only ever found beyond the depth limit as skipped, once the
+    // crawl is over. Pages still queued are left to be reported as beyond the page limit.
+    function recordDepthSkips() {
+        for (const pageUrl of tooDeepPageUrls) {
+            if (processedPages.has(pageUrl) || pagesToProcess.has(pageUrl) || skippedPageUrls.has(pageUrl)) continue;
             
-            // Add new links to the processing queue, but normalize URLs first
-            for (const link of links) {
-                const normalizedLink = normalizeUrl(link);
-                // Check if we've already processed this normalized URL or if it's already in the queue
-                if (!processedPages.has(normalizedLink) && 
-                    !pagesToProcess.some(url => normalizeUrl(url) === normalizedLink)) {
-                    pagesToProcess.push(link);
+            skippedPageUrls.add(pageUrl);
+            crawlReport.recordSkipped('page', pageUrl, 'depth');
+            collectedData.stats.skippedUrls.depth++;
+        }
+    }
+
+    // Function to summarize which sources the archived pages came from
+    function summarizePageSources() {
+        const bySource = { start: 0, navigation: 0, sitemap: 0, link: 0 };
+        const notLinked = [];
+        
+        for (const page of collectedData.pages) {
+            for (const source of page.sources) {
+                bySource[source]++;
+            }
+            // Pages that plain link-following would never have reached
+            if (!page.sources.includes('link') && !page.sources.includes('start')) {
+                notLinked.push(page.url);
+            }
+        }
+        
+        collectedData.pageSources = { bySource, notLinked };
+        
+        logger.info(`\nArchived pages by source: ${Object.entries(bySource).map(([source, count]) => `${source} ${count}`).join(', ')}`);
+        logger.info(`Pages found only through navigation or sitemap: ${notLinked.length}`);
+        
+        if (collectedData.variants.length > 0) {
+            const byVariant = {};
+            for (const page of collectedData.pages) {
+                const name = page.variant || 'none';
+                byVariant[name] = (byVariant[name] || 0) + 1;
+            }
+            logger.info(`Archived pages by variant: ${Object.entries(byVariant).map(([name, count]) => `${name} ${count}`).join(', ')}`);
+        }
+        
+        const { scope: outOfScope, exclude: excluded, include: notIncluded, depth: tooDeep } = collectedData.stats.skippedUrls;
+        if (skippedPageUrls.size > 0) {
+            logger.info(`Page URLs skipped by filters: ${outOfScope} out of scope, ${excluded} excluded, ${notIncluded} not included, ${tooDeep} beyond max depth`);
+        }
+    }
+
+    // Function to list what was added, changed and removed compared to the previous run
+    function summarizeChanges() {
+        // When the crawl stopped at the page limit, URLs not visited may still exist
+        const crawlFinished = pagesToProcess.length === 0;
+        if (!crawlFinished) {
+            logger.info('\nCrawl stopped before the queue was empty; URLs not visited are not reported as removed');
+        }
+        
+        for (const kind of ['pages', 'resources']) {
+            const notVisited = Object.keys(previousCache[kind]).filter(urlString => !archiveCache[kind][urlString]);
+            if (crawlFinished) {
+                changes[kind].removed = notVisited;
+            } else {
+                // Keep their entries so the next run can still compare against them
+                notVisited.forEach(urlString => {
+                    archiveCache[kind][urlString] = previousCache[kind][urlString];
+                });
+            }
+            changes[kind].added.sort();
+            changes[kind].changed.sort();
+            changes[kind].removed.sort();
+        }
+        
+        collectedData.changes = changes;
+        
+        logger.info("\n--- Changes since last run ---\n");
+        for (const kind of ['pages', 'resources']) {
+            const { added, changed, unchanged, removed } = changes[kind];
+            logger.info(`${kind}: ${added.length} added, ${changed.length} changed, ${unchanged} unchanged, ${removed.length} removed`);
+        }
+        
+        // Resource lists can be long; they are kept in extraction_summary.json
+        for (const [label, urls] of [['Added', changes.pages.added], ['Changed', changes.pages.changed], ['Removed', changes.pages.removed]]) {
+            if (urls.length > 0) {
+                logger.info(`\n${label} pages:`);
+                urls.forEach(urlString => logger.info(`  ${urlString}`));
+            }
+        }
+    }
+
+    // Function to build a serializable snapshot of the crawl progress.
+    // Pages that are still pending are left out of the processed set and put back at
+    // the front of the queue, so a resumed crawl processes them again from scratch.
+    function snapshotCrawlState(status) {
+        const pendingEntries = [...pendingPages.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([, entry]) => entry);
+        const pendingSet = new Set(pendingEntries.map(entry => normalizeUrl(entry.url)));
+        const pages = collectedData.pages.filter(page => !pendingSet.has(normalizeUrl(page.url)));
+        
+        return {
+            status,
+            domain,
+            crawledCount,
+            pagesToProcess: [...pendingEntries, ...pagesToProcess.toArray()],
+            processedPages: [...processedPages].filter(pageUrl => !pendingSet.has(pageUrl)),
+            processedResources: [...processedResources].filter(resourceUrl => !activeDownloads.has(resourceUrl)),
+            pageSources: [...pageSources.entries()],
+            navigationUrls: navigationOrder,
+            skippedPageUrls: [...skippedPageUrls],
+            tooDeepPageUrls: [...tooDeepPageUrls],
+            retryQueue: {
+                page: [...retryQueue.page.values()],
+                resource: [...retryQueue.resource.values()]
+            },
+            crawlOrder: [...crawlOrder.entries()].filter(([pageUrl]) => !pendingSet.has(pageUrl)),
+            archiveCache,
+            changes,
+            unchangedFiles: [...unchangedFiles],
+            crawlReport: crawlReport.toJSON(),
+            collectedData: {
+                ...collectedData,
+                pages,
+                stats: { ...collectedData.stats, processedPages: pages.length }
+            }
+        };
+    }
+
+    // Function to write the crawl state journal to the output directory
+    function saveState(status) {
+        // Pages still running when the run was aborted must not overwrite the saved state
+        if (aborted) return;
+        
+        stateSaved = true;
+        stateSavedAt = Date.now();
+        try {
+            saveCrawlState(OUTPUT_DIR, snapshotCrawlState(status));
+        } catch (error) {
+            logger.error(`Error saving crawl state: ${error.message}`);
+        }
+    }
+
+    // Function to restore the queue, skip-sets and collected data from a previous run.
+    // Returns the saved status, or null if there was nothing to resume.
+    function restoreCrawlState() {
+        const state = loadCrawlState(OUTPUT_DIR);
+        if (!state) {
+            logger.info(`No crawl state found in ${OUTPUT_DIR}/, starting a fresh crawl`);
+            return null;
+        }
+        
+        if (state.domain !== domain) {
+            throw new Error(`Crawl state in ${OUTPUT_DIR}/ belongs to ${state.domain}, not ${domain}`);
+        }
+        
+        // States saved before the navigation order was kept resume without it
+        navigationOrder = state.navigationUrls || [];
+        pagesToProcess.setNavigationOrder(navigationOrder);
+        state.pagesToProcess.forEach(({ url: pageUrl, depth }) => pagesToProcess.push(pageUrl, depth));
+        state.processedPages.forEach(pageUrl => processedPages.add(pageUrl));
+        state.processedResources.forEach(resourceUrl => processedResources.add(resourceUrl));
+        state.pageSources.forEach(([pageUrl, sources]) => pageSources.set(pageUrl, sources));
+        state.skippedPageUrls.forEach(pageUrl => skippedPageUrls.add(pageUrl));
+        (state.tooDeepPageUrls || []).forEach(pageUrl => tooDeepPageUrls.add(pageUrl));
+        for (const kind of Object.keys(retryQueue)) {
+            (state.retryQueue?.[kind] || []).forEach(entry => retryQueue[kind].set(entry.url, entry));
+        }
+        state.crawlOrder.forEach(([pageUrl, sequence]) => crawlOrder.set(pageUrl, sequence));
+        crawledCount = state.crawledCount;
+        
+        Object.assign(archiveCache, state.archiveCache);
+        Object.assign(changes, state.changes);
+        state.unchangedFiles.forEach(file => unchangedFiles.add(file));
+        if (state.crawlReport) {
+            crawlReport.restore(state.crawlReport);
+        }
+        
+        Object.assign(collectedData, state.collectedData);
+        // Share the source lists again so links found from now on are recorded on the pages
+        collectedData.pages.forEach(page => {
+            page.sources = pageSources.get(normalizeUrl(page.url)) || page.sources;
+        });
+        
+        logger.info(`Resuming ${state.status} crawl from ${state.updatedAt}: ${crawledCount} pages done, ${pagesToProcess.length} queued, ${processedResources.size} resources downloaded`);
+        return state.status;
+    }
+
+    // Function to retry the pages and assets that failed with a transient error during the
+    // crawl. Links found on retried pages are crawled as usual; anything that fails again
+    // is added to the failures list.
+    async function retryFailedUrls() {
+        // Retry pages in crawl order so the links they add are queued in a stable order
+        const failedPages = [...retryQueue.page.values()].sort((a, b) =>
+            (crawlOrder.get(normalizeUrl(a.url)) ?? Infinity) - (crawlOrder.get(normalizeUrl(b.url)) ?? Infinity));
+        const failedResources = [...retryQueue.resource.values()];
+        if (failedPages.length === 0 && failedResources.length === 0) return;
+        
+        logger.info("\n--- Starting retry phase ---\n");
+        logger.info(`Retrying ${failedPages.length} pages and ${failedResources.length} resources that failed during the crawl`);
+        retryingFailures = true;
+        
+        const limitPageRetry = createLimiter(PAGE_CONCURRENCY);
+        const pageLinks = await Promise.all(failedPages.map(({ url: pageUrl, depth }) => limitPageRetry(async () => {
+            processedPages.delete(normalizeUrl(pageUrl));
+            const links = await processPage(pageUrl, depth);
+            retryQueue.page.delete(pageUrl);
+            return links;
+        })));
+        failedPages.forEach(({ depth }, index) => {
+            pageLinks[index].forEach(link => enqueuePage(link, 'link', depth + 1));
+        });
+        
+        await Promise.all(failedResources.map(({ url: resourceUrl, baseUrl }) => limitResourceDownload(async () => {
+            processedResources.delete(normalizeUrl(resourceUrl));
+            await downloadResource(resourceUrl, baseUrl);
+            retryQueue.resource.delete(resourceUrl);
+        })));
+        
+        // Crawl the pages that were only linked from pages that failed the first time
+        if (pagesToProcess.length > 0) {
+            await crawlPages();
+        }
+        
+        logger.info("\n--- Retry phase complete ---\n");
+    }
+    
+    // Function to write the list of URLs that could not be archived
+    function saveFailures() {
+        collectedData.failures.sort((a, b) => a.kind.localeCompare(b.kind) || a.url.localeCompare(b.url));
+        
+        const failuresPath = path.join(OUTPUT_DIR, 'failures.json');
+        try {
+            fs.writeFileSync(failuresPath, JSON.stringify(collectedData.failures, null, 2));
+        } catch (error) {
+            logger.error(`Error saving failures list: ${error.message}`);
+            return;
+        }
+        
+        if (collectedData.failures.length > 0) {
+            logger.info(`\n${collectedData.failures.length} URLs could not be archived, see ${failuresPath}`);
+        }
+    }
+
+    // Function to build the offline search index from the parsed page content and add the
+    // search script to every archived page
+    function createSearchIndex() {
+        logger.info("\n--- Building offline search index ---\n");
+        
+        try {
+            const indexed = buildSearchIndex({ outputDir: OUTPUT_DIR, pages: collectedData.pages, logger });
+            collectedData.stats.searchIndex = indexed;
+            logger.info(`Indexed ${indexed.sections} sections from ${indexed.pages} pages for offline search`);
+        } catch (error) {
+            logger.error(`Error building search index: ${error.message}`);
+            recordFileError(path.join(OUTPUT_DIR, SEARCH_INDEX_FILE_NAME), error, 'search');
+        }
+        
+        logger.info("\n--- Search index complete ---\n");
+    }
+
+    // Function to write report.json and report.html with the errors, statuses, redirects and
+    // skipped URLs of the run. Returns the report summary, or null if it could not be written.
+    function saveCrawlReport() {
+        // Pages still queued when the page limit was reached were never visited
+        pagesToProcess.toArray().forEach(({ url: pageUrl }) => crawlReport.recordSkipped('page', normalizeUrl(pageUrl), 'max-pages'));
+        
+        const report = crawlReport.build({ domain, failures: collectedData.failures });
+        let files;
+        try {
+            files = writeCrawlReport(OUTPUT_DIR, report);
+        } catch (error) {
+            logger.error(`Error saving crawl report: ${error.message}`);
+            return null;
+        }
+        
+        const { nonOkResponses, brokenLinks, redirects, skipped, errors, removed } = report.summary;
+        logger.info(`\nCrawl report: ${brokenLinks} broken internal links, ${nonOkResponses} non-2xx responses, ${redirects} redirects, ${skipped} skipped URLs, ${errors} errors, ${removed} tracker elements removed`);
+        logger.info(`See ${files.html}`);
+        return report.summary;
+    }
+
+    // Function to run one phase of the archive, reporting its start and end and timing it
+    async function runPhase(phase, task) {
+        signal?.throwIfAborted();
+        emitEvent('phaseStart', { phase });
+        const phaseStartedAt = Date.now();
+        // Stop waiting for the phase when the run is aborted; its work is left to fail on the closed browser
+        await Promise.race([task(), abortedPromise]);
+        const durationMs = Date.now() - phaseStartedAt;
+        phaseTimings[phase] = durationMs;
+        emitEvent('phaseEnd', { phase, durationMs });
+    }
+
+    // Function to crawl the queue with a pool of workers, each driving its own browser tab.
+    // Links found on a page are merged into the queue in the order the pages were taken
+    // off it (not the order they finished), so the crawl visits the same pages in the same
+    // order as a sequential run regardless of how many workers are used.
+    async function crawlPages() {
+        let dispatched = crawledCount;
+        let inFlight = 0;
+        let nextToMerge = crawledCount;
+        const finishedPages = new Map(); // sequence number -> links found on the page
+        let waiters = [];
+        
+        // Wake up workers that are waiting for the queue to grow
+        const notifyWorkers = () => {
+            const current = waiters;
+            waiters = [];
+            current.forEach(resolve => resolve());
+        };
+        
+        // Add links from finished pages to the queue, strictly in dispatch order
+        const mergeFinishedPages = () => {
+            while (finishedPages.has(nextToMerge)) {
+                const links = finishedPages.get(nextToMerge);
+                const { depth } = pendingPages.get(nextToMerge);
+                finishedPages.delete(nextToMerge);
+                pendingPages.delete(nextToMerge);
+                nextToMerge++;
+                crawledCount++;
+                
+                // Add new links to the processing queue, one level deeper than the page they were found on
+                for (const link of links) {
+                    enqueuePage(link, 'link', depth + 1);
                 }
             }
             
-            processed++;
+            // Saving after every page would make the crawl quadratic in the number of pages.
+            // An aborted run saves the state straight away, so only a crash loses the last few pages.
+            if (Date.now() - stateSavedAt >= STATE_SAVE_INTERVAL_MS) {
+                saveState('crawling');
+            }
+        };
+        
+        const worker = async () => {
+            while (MAX_PAGES === -1 || dispatched < MAX_PAGES) {
+                if (aborted) return;
+                
+                if (pagesToProcess.length === 0) {
+                    // Nothing queued and nothing running that could add more work
+                    if (inFlight === 0) return;
+                    await new Promise(resolve => waiters.push(resolve));
+                    continue;
+                }
+                
+                const { url: currentUrl, depth } = pagesToProcess.shift();
+                const sequence = dispatched++;
+                pendingPages.set(sequence, { url: currentUrl, depth });
+                inFlight++;
+                
+                if (!crawlOrder.has(normalizeUrl(currentUrl))) {
+                    crawlOrder.set(normalizeUrl(currentUrl), sequence);
+                }
+                
+                let links = [];
+                try {
+                    // Process the page and get links
+                    links = await processPage(currentUrl, depth);
+                } finally {
+                    inFlight--;
+                    finishedPages.set(sequence, links);
+                    mergeFinishedPages();
+                    notifyWorkers();
+                }
+            }
+        };
+        
+        logger.info(`Crawling with ${PAGE_CONCURRENCY} concurrent pages`);
+        await Promise.all(Array.from({ length: PAGE_CONCURRENCY }, () => worker()));
+        
+        // Pages are saved in completion order; restore crawl order for the summary
+        collectedData.pages.sort((a, b) => 
+            crawlOrder.get(normalizeUrl(a.url)) - crawlOrder.get(normalizeUrl(b.url)));
+        
+        return dispatched;
+    }
+
+    logger.info(`Starting scraper for ${START_URL}`);
+    logger.info(`Limiting to ${MAX_PAGES} pages${MAX_DEPTH === -1 ? '' : ` and depth ${MAX_DEPTH}`}`);
+    logger.info(`Queue order: ${queueOrder}`);
+    logger.info(`Concurrency: ${PAGE_CONCURRENCY} pages, ${resourceConcurrency} downloads`);
+    logger.info(`Output directory: ${OUTPUT_DIR}/`);
+    if (useBrowser) {
+        logger.info(`Navigation: wait until ${waitUntil}, timeout ${timeout} ms, ${headless ? 'headless' : 'headed'} browser, ${colorSchemes.join(' and ')} color scheme${expandContent ? '' : ', pages saved as loaded'}`);
+    } else {
+        logger.info(`Navigation: no browser, pages are fetched directly with a ${timeout} ms timeout${browserFallback ? `, pages that fail are rendered in a ${headless ? 'headless' : 'headed'} browser` : ''}`);
+    }
+    logger.debug(`Allowed domains: ${[...new Set(ALLOWED_DOMAINS)].join(', ')}`);
+    logger.info(`Politeness: robots.txt ${respectRobots ? 'respected' : 'ignored'}, ${requestsPerSecond > 0 ? `${requestsPerSecond} requests/s per host` : 'no rate limit'}, ${navigationDelay} ms between navigations`);
+    if (userAgent) {
+        logger.info(`User-Agent: ${userAgent}`);
+    }
+    if (proxySettings) {
+        logger.info(`Proxy: ${describeProxy(proxySettings)}${proxySettings.noProxy.length > 0 ? `, bypassed for ${proxySettings.noProxy.join(', ')}` : ''}`);
+    }
+    if (cookies.length > 0 || Object.keys(authHeaders).length > 0) {
+        // Only names, never the values
+        logger.info(`Authentication: ${cookies.length} cookies${cookieFile ? ` from ${cookieFile}` : ''}, headers [${Object.keys(authHeaders).join(', ')}] for ${BASE_DOMAIN}`);
+    }
+    if (include.length > 0 || exclude.length > 0) {
+        logger.info(`Page filters: include [${include.join(', ')}], exclude [${exclude.join(', ')}]`);
+    }
+    
+    // Pick up where an interrupted run left off
+    const resumedStatus = resume ? restoreCrawlState() : null;
+    
+    // In no-browser mode the browser is only launched if a page has to be rendered after all
+    let browserPromise = sharedBrowser ? Promise.resolve(sharedBrowser) : null;
+    const getBrowser = () => {
+        if (!browserPromise) {
+            browserPromise = launchBrowser({ headless, proxy });
+        }
+        return browserPromise;
+    };
+    // Helper function to close the browser, unless it was passed in or never launched
+    const closeBrowser = async () => {
+        const browser = !sharedBrowser && browserPromise ? await browserPromise.catch(() => null) : null;
+        if (browser) {
+            await browser.close();
+        }
+    };
+    if (useBrowser) {
+        await getBrowser();
+    }
+    
+    // Save the crawl state when the run is aborted; the browser is closed on the way out.
+    // An abort before the queue is seeded leaves any saved state as it is.
+    const handleAbort = () => {
+        if (stateSaved || resumedStatus) {
+            logger.info('\nRun aborted, saving crawl state...');
+            saveState('interrupted');
+            logger.info(`Crawl state saved to ${getStateFilePath(OUTPUT_DIR)}`);
+            logger.info('Run again with --resume to continue where this run stopped.');
+        }
+        aborted = true;
+        rejectAborted(signal.reason);
+    };
+    signal?.addEventListener('abort', handleAbort, { once: true });
+    
+    try {
+        // Queue the start page and the pages from the sitemap and navigation before the
+        // crawl starts. A resumed crawl already has them in its saved queue.
+        if (!resumedStatus) {
+            recordPageSource(START_URL, 'start');
+            pagesToProcess.push(START_URL, 0);
+            await runPhase('seed', seedPagesFromSiteMetadata);
+            saveState('crawling');
         }
         
+        await runPhase('crawl', crawlPages);
+        
+        // Give pages and assets that failed with transient errors one more chance
+        await runPhase('retry', retryFailedUrls);
+        
+        recordDepthSkips();
+        summarizePageSources();
+        summarizeChanges();
+        saveState('crawled');
+        
         // Final pass through all HTML files
-        await processAllHtmlFiles();
+        await runPhase('rewriteUrls', processAllHtmlFiles);
         
         // Process HTML files with specialized optimization
-        await processHtmlFiles();
+        await runPhase('html', processHtmlFiles);
+        
+        // Remove trackers and chat widgets and block their requests
+        if (sanitize) {
+            await runPhase('sanitize', sanitizeHtmlFiles);
+        }
         
         // Download masked SVG resources before running edge case handling
-        await downloadMaskedSvgResources();
+        await runPhase('maskedSvg', downloadMaskedSvgResources);
+        
+        // List the pages and assets that are missing from the archive
+        saveFailures();
         
         // Process JavaScript files for edge cases and special patterns
-        await processJsFilesEdgeCases();
+        await runPhase('jsEdgeCases', processJsFilesEdgeCases);
         
         // Process CSS files to update URLs
-        await processCssFiles();
+        await runPhase('css', processCssFiles);
         
         // Process JavaScript files to update URLs
-        await processJsFiles();
+        await runPhase('js', processJsFiles);
         
         // Extract JSON data from Next.js HTML files
-        await extractNextJsData();
-        
-        // Create the preview-website.bat file for Windows
-        await createPreviewBatFile();
-        
-        // Create the preview-website.command file for macOS
-        await createPreviewCommandFile();
-        
-        console.log(`\nScraping complete! Processed ${processed} pages.`);
-        console.log(`Website saved to: ${path.resolve(OUTPUT_DIR)}`);
-        console.log(`To view the site locally, run: npx http-server ${OUTPUT_DIR} -o`);
-        console.log(`Or use one of the preview files in the output folder:`);
-        console.log(`  - On Windows: Double-click preview-website.bat`);
-        console.log(`  - On macOS: Double-click preview-website.command (you may need to make it executable first)`);
-    } catch (error) {
-        console.error('Error in scraper:', error);
+        await runPhase('nextData', extractNextJsData);
+        
+        // Build the offline search index and add the search UI to the pages
+        if (search) {
+            await runPhase('search', createSearchIndex);
+        }
+        
+        // Write report.json and report.html with everything that went wrong or was skipped
+        let reportSummary = null;
+        await runPhase('report', async () => {
+            reportSummary = saveCrawlReport();
+        });
+        
+        // Create the preview-website.bat file for Windows and preview-website.command for macOS
+        await runPhase('preview', async () => {
+            await createPreviewBatFile();
+            await createPreviewCommandFile();
+        });
+        
+        // Keep validators and fingerprints for the next incremental run
+        try {
+            saveArchiveCache(OUTPUT_DIR, archiveCache);
+        } catch (error) {
+            logger.error(`Error saving archive cache: ${error.message}`);
+        }
+        
+        saveState('complete');
+        
+        logger.info(`\nScraping complete! Processed ${crawledCount} pages.`);
+        if (!useBrowser && collectedData.stats.browserFallbacks > 0) {
+            logger.info(`${collectedData.stats.browserFallbacks} pages could not be archived from their HTML and were rendered in the browser.`);
+        }
+        logger.info(`Website saved to: ${path.resolve(OUTPUT_DIR)}`);
+        logger.info(`To view the site locally, run: npx http-server ${OUTPUT_DIR} -o`);
+        logger.info(`Or use one of the preview files in the output folder:`);
+        logger.info(`  - On Windows: Double-click preview-website.bat`);
+        logger.info(`  - On macOS: Double-click preview-website.command (you may need to make it executable first)`);
+        
+        const finishedAt = new Date();
+        return {
+            domain,
+            outputDir: path.resolve(OUTPUT_DIR),
+            homePage: collectedData.pages[0]?.htmlFile || null,
+            pages: collectedData.pages.map(page => ({ ...page })),
+            resources: [...savedResources]
+                .map(([resourceUrl, file]) => ({ url: resourceUrl, file }))
+                .sort((a, b) => a.url.localeCompare(b.url)),
+            failures: collectedData.failures.map(failure => ({ ...failure })),
+            report: reportSummary,
+            stats: collectedData.stats,
+            timings: {
+                startedAt: startedAt.toISOString(),
+                finishedAt: finishedAt.toISOString(),
+                durationMs: finishedAt - startedAt,
+                phases: phaseTimings
+            }
+        };
     } finally {
-        await browser.close();
+        signal?.removeEventListener('abort', handleAbort);
+        await closeBrowser();
+        // close() waits for the requests still running; after an abort they are dropped instead
+        for (const dispatcher of [directDispatcher, proxyDispatcher].filter(Boolean)) {
+            await (aborted ? dispatcher.destroy() : dispatcher.close()).catch(() => {});
+        }
+        logger.close();
     }
 }
 
 module.exports = {
-    runScraper
+    runScraper,
+    launchBrowser
 };
 
 if(require.main === module) {
@@ -0,0 +1,333 @@
+/**
+ * Search Index Module
+ *
+ * This module gives the archive a search that works without Mintlify's hosted search
+ * backend. It builds a JSON index from the text parseCompiledSource extracted from each
+ * page (titles, headings, paragraphs, list items, cards, accordions and code), split into
+ * one entry per heading, and writes it to the output directory together with a small
+ * script that searches it in the browser. Every archived page gets a script tag for it;
+ * the search opens from the site's own search button or with Cmd-K / Ctrl-K. The index is
+ * fetched relative to the script, so the search works from any static file server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { defaultLogger } = require('./logger');
+
+const SEARCH_INDEX_FILE_NAME = 'archive-search-index.json';
+const SEARCH_SCRIPT_FILE_NAME = 'archive-search.js';
+
+// Attribute on the injected script tag, so a page is not given a second one on later runs
+const SEARCH_SCRIPT_MARKER = 'data-archive-search';
+
+// Results shown for a query
+const MAX_RESULTS = 20;
+
+// Element types from parseCompiledSource and the fields that hold their text
+const ELEMENT_TEXT_FIELDS = {
+    paragraph: ['text'],
+    listItem: ['text'],
+    blockquote: ['text'],
+    link: ['text'],
+    accordion: ['title', 'content'],
+    card: ['title', 'description'],
+    code: ['content'],
+    image: ['alt']
+};
+
+/**
+ * Split the content parsed from a page into sections, one per heading
+ * @param {Object} parsedContent - The result of parseCompiledSource
+ * @returns {Array<{heading: string, id: string, text: string}>} - The sections with text, in page order;
+ *   text before the first heading has an empty heading and id
+ */
+function collectSections(parsedContent) {
+    const sections = [];
+    let current = { heading: '', id: '', parts: [] };
+
+    for (const element of parsedContent.elements || []) {
+        if (element.type === 'heading') {
+            sections.push(current);
+            current = { heading: String(element.text || ''), id: String(element.id || ''), parts: [] };
+            continue;
+        }
+        for (const field of ELEMENT_TEXT_FIELDS[element.type] || []) {
+            if (typeof element[field] === 'string' && element[field].trim()) {
+                current.parts.push(element[field]);
+            }
+        }
+    }
+    sections.push(current);
+
+    // Strings taken from compiled JSX still contain escape sequences
+    const clean = (text) => text.replace(/\\[nrt]/g, ' ').replace(/\\(["'\\])/g, '$1').replace(/\s+/g, ' ').trim();
+    return sections
+        .map(({ heading, id, parts }) => ({ heading: clean(heading), id, text: clean(parts.join(' ')) }))
+        .filter(section => section.heading || section.text);
+}
+
+/**
+ * Get the title of an HTML document
+ * @param {string} html - The HTML text
+ * @returns {string} - The title, or an empty string
+ */
+function getHtmlTitle(html) {
+    const titleMatch = /<title[^>]*>([^<]*)<\/title>/i.exec(html);
+    if (!titleMatch) return '';
+    return titleMatch[1]
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#x27;|&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * The search UI. Runs in the browser, so it can't use anything from this module; it is
+ * written to the search script as source.
+ * @param {Object} options - { indexFile, maxResults, marker }
+ */
+function searchInBrowser({ indexFile, maxResults, marker }) {
+    const script = document.currentScript || document.querySelector(`script[${marker}]`);
+    const baseUrl = new URL('.', script.src).href;
+    const pageVariant = script.getAttribute('data-variant') || '';
+    let entries = null;
+    let dialog = null;
+    let input = null;
+    let list = null;
+    let selected = 0;
+
+    const escapeHtml = (text) => text.replace(/[&<>"]/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[character]);
+
+    const loadIndex = () => {
+        if (!entries) {
+            entries = fetch(new URL(indexFile, baseUrl).href)
+                .then(response => response.json())
+                .then(index => index.pages.flatMap(page => page.sections.map(section => ({
+                    page,
+                    section,
+                    title: page.title.toLowerCase(),
+                    heading: section.heading.toLowerCase(),
+                    text: section.text.toLowerCase()
+                }))))
+                .catch(() => {
+                    entries = null;
+                    return [];
+                });
+        }
+        return entries;
+    };
+
+    const search = (allEntries, query) => {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        const results = [];
+        for (const entry of allEntries) {
+            // On a site with versions or languages, stay within those of the current page
+            if (pageVariant && entry.page.variant && entry.page.variant !== pageVariant) continue;
+
+            let score = 0;
+            const found = terms.every(term => {
+                const termScore = (entry.title.includes(term) ? 10 : 0) + (entry.heading.includes(term) ? 5 : 0) + (entry.text.includes(term) ? 1 : 0);
+                score += termScore;
+                return termScore > 0;
+            });
+            if (found) results.push({ entry, score });
+        }
+        return results.sort((a, b) => b.score - a.score).slice(0, maxResults).map(result => result.entry);
+    };
+
+    const getSnippet = (entry, query) => {
+        const term = query.toLowerCase().split(/\s+/).find(candidate => candidate && entry.text.includes(candidate));
+        const text = entry.section.text;
+        if (!term) return escapeHtml(text.slice(0, 140));
+        const start = Math.max(0, entry.text.indexOf(term) - 50);
+        const snippet = (start > 0 ? '…' : '') + text.slice(start, start + 160) + (start + 160 < text.length ? '…' : '');
+        return escapeHtml(snippet).replace(new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), match => `<mark>${match}</mark>`);
+    };
+
+    const highlight = () => {
+        [...list.children].forEach((item, index) => item.setAttribute('aria-selected', String(index === selected)));
+        const current = list.children[selected];
+        if (current) current.scrollIntoView({ block: 'nearest' });
+    };
+
+    const render = async () => {
+        const query = input.value.trim();
+        const results = search(await loadIndex(), query);
+        if (query !== input.value.trim()) return;
+
+        selected = 0;
+        list.innerHTML = results.map(entry => {
+            const href = new URL(entry.page.url + (entry.section.id ? `#${entry.section.id}` : ''), baseUrl).href;
+            return `<li role="option"><a href="${escapeHtml(href)}"><strong>${escapeHtml(entry.page.title)}</strong>`
+                + (entry.section.heading ? ` <span>› ${escapeHtml(entry.section.heading)}</span>` : '')
+                + `<small>${getSnippet(entry, query)}</small></a></li>`;
+        }).join('') || (query ? '<li class="empty">No results</li>' : '');
+        highlight();
+    };
+
+    const close = () => {
+        if (dialog) dialog.hidden = true;
+    };
+
+    const open = () => {
+        if (!dialog) {
+            dialog = document.createElement('div');
+            dialog.setAttribute(marker, '');
+            dialog.innerHTML = `<style>
+                [${marker}]{position:fixed;inset:0;z-index:2147483647;background:rgba(0,0,0,.4);display:flex;justify-content:center;align-items:flex-start;padding-top:10vh;font-family:system-ui,sans-serif}
+                [${marker}][hidden]{display:none}
+                [${marker}] .panel{width:min(640px,92vw);max-height:70vh;display:flex;flex-direction:column;background:#fff;color:#111;border-radius:12px;box-shadow:0 20px 50px rgba(0,0,0,.3);overflow:hidden}
+                [${marker}] input{border:0;border-bottom:1px solid #e5e7eb;padding:16px;font-size:16px;outline:none;background:transparent;color:inherit}
+                [${marker}] ul{list-style:none;margin:0;padding:8px;overflow:auto}
+                [${marker}] li a{display:block;padding:8px 12px;border-radius:8px;color:inherit;text-decoration:none}
+                [${marker}] li[aria-selected="true"] a,[${marker}] li a:hover{background:#f3f4f6}
+                [${marker}] li span{color:#6b7280}
+                [${marker}] li small{display:block;margin-top:4px;color:#4b5563}
+                [${marker}] li.empty{padding:12px;color:#6b7280}
+                @media (prefers-color-scheme:dark){[${marker}] .panel{background:#18181b;color:#f4f4f5}[${marker}] input{border-color:#3f3f46}[${marker}] li[aria-selected="true"] a,[${marker}] li a:hover{background:#27272a}[${marker}] li small,[${marker}] li span{color:#a1a1aa}}
+            </style><div class="panel" role="dialog" aria-label="Search"><input type="search" placeholder="Search the archive…" aria-label="Search"><ul role="listbox"></ul></div>`;
+            document.body.appendChild(dialog);
+            input = dialog.querySelector('input');
+            list = dialog.querySelector('ul');
+
+            dialog.addEventListener('click', event => {
+                if (event.target === dialog) close();
+            });
+            input.addEventListener('input', render);
+            input.addEventListener('keydown', event => {
+                const count = list.querySelectorAll('a').length;
+                if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                    event.preventDefault();
+                    if (count > 0) {
+                        selected = (selected + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+                        highlight();
+                    }
+                } else if (event.key === 'Enter') {
+                    const link = list.children[selected] && list.children[selected].querySelector('a');
+                    if (link) window.location.href = link.href;
+                }
+            });
+        }
+
+        dialog.hidden = false;
+        input.focus();
+        input.select();
+        loadIndex();
+    };
+
+    // Listen in the capture phase so the site's own handlers, which call the hosted
+    // search, never see these events
+    window.addEventListener('keydown', event => {
+        if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'k') {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            if (dialog && !dialog.hidden) close(); else open();
+        } else if (event.key === 'Escape' && dialog && !dialog.hidden) {
+            event.stopImmediatePropagation();
+            close();
+        }
+    }, true);
+
+    const triggerSelector = '#search-bar-entry, #search-bar-entry-mobile, [data-search-trigger], button[aria-label^="search" i], button[aria-label*="open search" i]';
+    window.addEventListener('click', event => {
+        const trigger = event.target instanceof Element && event.target.closest(triggerSelector);
+        if (!trigger || (dialog && dialog.contains(trigger))) return;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        open();
+    }, true);
+}
+
+/**
+ * Add the search script tag to an HTML document
+ * @param {string} html - The HTML text
+ * @param {string} scriptSrc - The path of the search script, relative to the document
+ * @param {string|null} variant - The version/language variant of the page, if any
+ * @returns {string|null} - The changed HTML, or null if it already has the tag or has no head or body
+ */
+function injectSearchScript(html, scriptSrc, variant) {
+    if (html.includes(SEARCH_SCRIPT_MARKER)) return null;
+
+    const variantAttribute = variant ? ` data-variant="${variant.replace(/"/g, '&quot;')}"` : '';
+    const tag = `<script src="${scriptSrc}" ${SEARCH_SCRIPT_MARKER}${variantAttribute} defer></script>`;
+    for (const closingTag of ['</head>', '</body>']) {
+        const index = html.indexOf(closingTag);
+        if (index !== -1) {
+            return html.slice(0, index) + tag + html.slice(index);
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the search index of an archive, write it with the search script to the output
+ * directory and add the script to every archived page
+ * @param {Object} options - Index options
+ * @param {string} options.outputDir - The base output directory
+ * @param {Object[]} options.pages - collectedData.pages, with processedDataFile set for pages whose content was parsed
+ * @param {Object} [options.logger] - Logger for the progress
+ * @returns {{pages: number, sections: number}} - How many pages and sections were indexed
+ */
+function buildSearchIndex({ outputDir, pages, logger = defaultLogger }) {
+    const indexedPages = [];
+    let sectionCount = 0;
+
+    for (const page of pages) {
+        if (!page.htmlFile) continue;
+
+        const htmlPath = path.join(outputDir, page.htmlFile);
+        let html;
+        try {
+            html = fs.readFileSync(htmlPath, 'utf8');
+        } catch (error) {
+            logger.warn(`Could not read ${page.htmlFile} for the search index: ${error.message}`);
+            continue;
+        }
+
+        let parsedContent = { title: '', elements: [] };
+        if (page.processedDataFile) {
+            try {
+                parsedContent = JSON.parse(fs.readFileSync(path.join(outputDir, page.processedDataFile), 'utf8'));
+            } catch (error) {
+                logger.warn(`Could not read ${page.processedDataFile} for the search index: ${error.message}`);
+            }
+        }
+
+        const title = parsedContent.title || getHtmlTitle(html) || page.path;
+        const sections = collectSections(parsedContent);
+        if (sections.length === 0) {
+            sections.push({ heading: '', id: '', text: '' });
+        }
+        indexedPages.push({
+            // Relative to the output directory, so the index works wherever the archive is served from
+            url: page.htmlFile.replace(/(^|\/)index\.html$/, '$1'),
+            title,
+            variant: page.variant || null,
+            sections
+        });
+        sectionCount += sections.length;
+
+        const scriptSrc = path.relative(path.dirname(htmlPath), path.join(outputDir, SEARCH_SCRIPT_FILE_NAME)).replace(/\\/g, '/');
+        const injectedHtml = injectSearchScript(html, scriptSrc, page.variant);
+        if (injectedHtml) {
+            fs.writeFileSync(htmlPath, injectedHtml);
+        }
+    }
+
+    fs.writeFileSync(path.join(outputDir, SEARCH_INDEX_FILE_NAME), JSON.stringify({ generatedAt: new Date().toISOString(), pages: indexedPages }));
+    fs.writeFileSync(path.join(outputDir, SEARCH_SCRIPT_FILE_NAME), `/* Offline search for the archived site */
+(${searchInBrowser.toString()})(${JSON.stringify({ indexFile: SEARCH_INDEX_FILE_NAME, maxResults: MAX_RESULTS, marker: SEARCH_SCRIPT_MARKER })});
+`);
+
+    return { pages: indexedPages.length, sections: sectionCount };
+}
+
+module.exports = {
+    SEARCH_INDEX_FILE_NAME,
+    SEARCH_SCRIPT_FILE_NAME,
+    buildSearchIndex
+};
@@ -0,0 +1,105 @@
+/**
+ * Sitemap Module
+ *
+ * This module fetches and parses sitemap.xml files so the crawler can find pages
+ * that are not reachable through links. Sitemap indexes are followed recursively
+ * and gzipped sitemaps (.xml.gz) are decompressed.
+ */
+
+const zlib = require('zlib');
+const { defaultLogger } = require('./logger');
+
+// Guard against sitemap indexes that reference each other or nest too deeply
+const MAX_SITEMAP_DEPTH = 3;
+
+/**
+ * Decodes the XML entities that are allowed inside <loc> elements
+ * @param {string} text - The raw text content of the element
+ * @returns {string} - The decoded text
+ */
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extracts all <loc> values from a sitemap or sitemap index document
+ * @param {string} xml - The sitemap XML
+ * @returns {{isIndex: boolean, locations: string[]}} - Whether the document is an index, and its locations
+ */
+function parseSitemap(xml) {
+    const isIndex = /<sitemapindex[\s>]/i.test(xml);
+    const locations = [];
+
+    const locRegex = /<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/gi;
+    let match;
+    while ((match = locRegex.exec(xml)) !== null) {
+        const location = decodeXmlEntities(match[1].trim());
+        if (location) {
+            locations.push(location);
+        }
+    }
+
+    return { isIndex, locations };
+}
+
+/**
+ * Fetches a sitemap (or sitemap index) and returns every page URL it lists
+ * @param {string} sitemapUrl - The URL of the sitemap, e.g. https://docs.example.com/sitemap.xml
+ * @param {function} [fetchFn] - The fetch implementation to use, e.g. one that adds headers or throttles
+ * @param {Object} [logger] - The logger to report to
+ * @returns {Promise<string[]>} - The page URLs in the order they appear in the sitemap(s)
+ */
+async function fetchSitemapUrls(sitemapUrl, fetchFn = fetch, logger = defaultLogger) {
+    const pageUrls = [];
+    const visitedSitemaps = new Set();
+
+    async function visit(currentUrl, depth) {
+        if (visitedSitemaps.has(currentUrl) || depth > MAX_SITEMAP_DEPTH) return;
+        visitedSitemaps.add(currentUrl);
+
+        let xml;
+        try {
+            const response = await fetchFn(currentUrl);
+            if (!response.ok) {
+                logger.info(`Sitemap not available at ${currentUrl}: ${response.status} ${response.statusText}`);
+                return;
+            }
+
+            if (currentUrl.endsWith('.gz')) {
+                const buffer = Buffer.from(await response.arrayBuffer());
+                xml = zlib.gunzipSync(buffer).toString('utf8');
+            } else {
+                xml = await response.text();
+            }
+        } catch (error) {
+            logger.warn(`Failed to fetch sitemap ${currentUrl}:`, error.message);
+            return;
+        }
+
+        const { isIndex, locations } = parseSitemap(xml);
+
+        if (isIndex) {
+            logger.info(`Sitemap index ${currentUrl} lists ${locations.length} sitemaps`);
+            // Process nested sitemaps one by one so the resulting order is stable
+            for (const location of locations) {
+                await visit(location, depth + 1);
+            }
+        } else {
+            logger.info(`Sitemap ${currentUrl} lists ${locations.length} pages`);
+            pageUrls.push(...locations);
+        }
+    }
+
+    await visit(sitemapUrl, 0);
+    return pageUrls;
+}
+
+module.exports = {
+    fetchSitemapUrls,
+    parseSitemap
+};
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getNextDataPayload } = require('../jsonExtractor');
+
+const nextData = (extra = {}) => ({ buildId: 'b1', props: { pageProps: { title: 'T' }, __N_SSG: true }, ...extra });
+
+test('getNextDataPayload maps nested and root pages to the router data path', () => {
+    assert.deepEqual(getNextDataPayload(nextData(), '/guides/setup/'), {
+        dataPath: '/_next/data/b1/guides/setup.json',
+        payload: { pageProps: { title: 'T' }, __N_SSG: true }
+    });
+    assert.equal(getNextDataPayload(nextData(), '/').dataPath, '/_next/data/b1/index.json');
+    assert.equal(getNextDataPayload(nextData(), '/index/faq').dataPath, '/_next/data/b1/index/index/faq.json');
+    assert.equal(getNextDataPayload(nextData(), '/caf%C3%A9').dataPath, '/_next/data/b1/café.json');
+});
+
+test('getNextDataPayload puts the basePath in front of _next/data and leaves it out of the route', () => {
+    assert.equal(getNextDataPayload(nextData(), '/docs/guides/setup', '/docs').dataPath, '/docs/_next/data/b1/guides/setup.json');
+    assert.equal(getNextDataPayload(nextData(), '/docs', '/docs').dataPath, '/docs/_next/data/b1/index.json');
+    assert.equal(getNextDataPayload(nextData(), '/docsite', '/docs').dataPath, '/docs/_next/data/b1/docsite.json');
+});
+
+test('getNextDataPayload puts the locale in front of the route', () => {
+    const localized = nextData({ locale: 'fr' });
+    assert.equal(getNextDataPayload(localized, '/guides').dataPath, '/_next/data/b1/fr/guides.json');
+    assert.equal(getNextDataPayload(localized, '/fr/guides').dataPath, '/_next/data/b1/fr/guides.json');
+    assert.equal(getNextDataPayload(localized, '/').dataPath, '/_next/data/b1/fr.json');
+});
+
+test('getNextDataPayload returns null for pages rendered without data', () => {
+    assert.equal(getNextDataPayload({ buildId: 'b1', props: { pageProps: {} } }, '/guides'), null);
+    assert.equal(getNextDataPayload(null, '/guides'), null);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TRACKERS, withExtraHosts, sanitizeHtml } = require('../sanitizer');
+
+// The sanitized page without the request blocker, which is the same for every page
+const withoutBlocker = (html) => html.replace(/<script data-archive-sanitizer>[\s\S]*?<\/script>/, '');
+
+test('sanitizeHtml keeps Next.js payloads that mention a tracker API', () => {
+    const html = '<script>self.__next_f.push([1,"Call analytics.load(KEY) from https://cdn.segment.com"])</script>';
+    assert.deepEqual(sanitizeHtml(html, TRACKERS), { html, removed: [] });
+});
+
+test('sanitizeHtml keeps site code that calls a tracker API without loading it', () => {
+    const html = '<html><head></head><body><script>function track() { gtag("event", "click"); Intercom("show"); }</script></body></html>';
+    const { html: sanitized, removed } = sanitizeHtml(html, TRACKERS);
+    assert.deepEqual(removed, []);
+    assert.equal(withoutBlocker(sanitized), html);
+});
+
+test('sanitizeHtml removes loader snippets, tracker scripts, pixels and links', () => {
+    const html = '<html><head><link rel="preconnect" href="https://widget.intercom.io">'
+        + '<script>!function(){var analytics=window.analytics=[];analytics.load=function(key){var t=document.createElement("script");'
+        + 't.src="https://cdn.segment.com/analytics.js/v1/"+key+"/analytics.min.js"};analytics.load("KEY")}();</script>'
+        + '<script async src=https://www.googletagmanager.com/gtag/js?id=G-1></script></head>'
+        + '<body><noscript><iframe src="https://www.googletagmanager.com/ns.html?id=GTM-1"></iframe></noscript>'
+        + '<img src="//www.google-analytics.com/collect?v=1"><p>Text</p></body></html>';
+    const { html: sanitized, removed } = sanitizeHtml(html, TRACKERS);
+    assert.equal(withoutBlocker(sanitized), '<html><head></head><body><p>Text</p></body></html>');
+    assert.deepEqual(removed.map(({ name, element }) => `${name} ${element}`), [
+        'Intercom link',
+        'Segment inline script',
+        'Google Tag Manager script',
+        'Google Tag Manager noscript',
+        'Google Analytics pixel'
+    ]);
+});
+
+test('sanitizeHtml removes settings snippets that name no tracker host', () => {
+    const html = '<html><head><script>window.dataLayer = window.dataLayer || []; function gtag(){dataLayer.push(arguments);}'
+        + 'gtag(\'js\', new Date()); gtag(\'config\', \'G-123\');</script></head>'
+        + '<body><script>window.intercomSettings = { app_id: "abc" };</script>'
+        + '<script>window.embeddedChatbotConfig = { chatbotId: "bot" }</script><p>Text</p></body></html>';
+    const { html: sanitized, removed } = sanitizeHtml(html, TRACKERS);
+    assert.equal(withoutBlocker(sanitized), '<html><head></head><body><p>Text</p></body></html>');
+    assert.deepEqual(removed.map(({ name }) => name), ['Google Tag Manager', 'Intercom', 'Chatbase']);
+});
+
+test('sanitizeHtml removes script loaders for trackers without API patterns and for extra hosts', () => {
+    const loader = (src) => `<script>(function(){var s=document.createElement("script");s.src="${src}";document.head.appendChild(s)})()</script>`;
+    const html = `<html><head>${loader('https://widget.kapa.ai/kapa-widget.bundle.js')}${loader('https://cdn.example-widget.com/w.js')}`
+        + `${loader('/local.js')}</head></html>`;
+    const { html: sanitized, removed } = sanitizeHtml(html, withExtraHosts(['example-widget.com']));
+    assert.equal(withoutBlocker(sanitized), `<html><head>${loader('/local.js')}</head></html>`);
+    assert.deepEqual(removed.map(({ name }) => name), ['Kapa.ai', 'example-widget.com']);
+});
+
+test('sanitizeHtml adds the request blocker once', () => {
+    const once = sanitizeHtml('<html><head><title>T</title></head></html>', TRACKERS).html;
+    assert.match(once, /^<html><head><script data-archive-sanitizer>/);
+    assert.equal(sanitizeHtml(once, TRACKERS).html, once);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSrcset, rewriteHtmlUrls, rewriteCssUrls, forEachHtmlReference, forEachCssReference } = require('../urlRewriter');
+
+// Prefixes every URL, so a URL rewritten twice shows up as /local/local/...
+const toLocal = (url) => `/local/${url.replace(/^https?:\/\/|^\//, '')}`;
+
+test('parseSrcset splits candidates and their descriptors', () => {
+    assert.deepEqual(parseSrcset('a.png 1x, b.png 2x'), [
+        { url: 'a.png', descriptors: '1x' },
+        { url: 'b.png', descriptors: '2x' }
+    ]);
+    assert.deepEqual(parseSrcset('\n  a.png   640w,\n  b.png 1280w  '), [
+        { url: 'a.png', descriptors: '640w' },
+        { url: 'b.png', descriptors: '1280w' }
+    ]);
+});
+
+test('parseSrcset keeps commas inside URLs', () => {
+    assert.deepEqual(parseSrcset('/_next/image?url=a,b.png&w=640 640w,/c.png 2x'), [
+        { url: '/_next/image?url=a,b.png&w=640', descriptors: '640w' },
+        { url: '/c.png', descriptors: '2x' }
+    ]);
+});
+
+test('parseSrcset ends a candidate at a comma after its URL', () => {
+    assert.deepEqual(parseSrcset('a.png, b.png 2x,'), [
+        { url: 'a.png', descriptors: '' },
+        { url: 'b.png', descriptors: '2x' }
+    ]);
+    assert.deepEqual(parseSrcset(' , '), []);
+});
+
+test('rewriteHtmlUrls rewrites quoted and unquoted attributes in their own quotes', () => {
+    const html = '<img src=https://x.test/a.png><a href=\'/b\'>b</a><link href="/c.css">';
+    assert.equal(rewriteHtmlUrls(html, { rewriteUrl: toLocal }),
+        '<img src=/local/x.test/a.png><a href=\'/local/b\'>b</a><link href="/local/c.css">');
+});
+
+test('rewriteHtmlUrls quotes an unquoted value that needs it', () => {
+    const html = '<img src=/a.png alt=x>';
+    assert.equal(rewriteHtmlUrls(html, { rewriteUrl: () => 'a b.png' }), '<img src="a b.png" alt=x>');
+});
+
+test('rewriteHtmlUrls decodes entities for the callback and encodes the new value', () => {
+    const seen = [];
+    const html = '<a href="/p?x=1&amp;y=2">p</a><img src=\'/it&#39;s.png\'>';
+    const result = rewriteHtmlUrls(html, {
+        rewriteUrl: (url) => {
+            seen.push(url);
+            return `${url}&z=3`;
+        }
+    });
+    assert.deepEqual(seen, ['/p?x=1&y=2', "/it's.png"]);
+    assert.equal(result, '<a href="/p?x=1&amp;y=2&amp;z=3">p</a><img src=\'/it&#39;s.png&amp;z=3\'>');
+});
+
+test('rewriteHtmlUrls rewrites srcset, data-src, data-srcset, imagesrcset and xlink:href', () => {
+    const html = '<img data-src="/a.png" data-srcset="/b.png 1x, /c,d.png 2x">'
+        + '<link rel="preload" imagesrcset="/e.png 1x"><svg><use xlink:href="/s.svg#i"/></svg>';
+    assert.equal(rewriteHtmlUrls(html, { rewriteUrl: toLocal }),
+        '<img data-src="/local/a.png" data-srcset="/local/b.png 1x, /local/c,d.png 2x">'
+        + '<link rel="preload" imagesrcset="/local/e.png 1x"><svg><use xlink:href="/local/s.svg#i"/></svg>');
+});
+
+test('rewriteHtmlUrls leaves the text of scripts, textareas and comments alone', () => {
+    const html = '<script>var s = \'<img src="/a.png">\';</script>'
+        + '<textarea><img src="/b.png"></textarea><!-- <img src="/c.png"> -->';
+    assert.equal(rewriteHtmlUrls(html, { rewriteUrl: toLocal }), html);
+});
+
+test('rewriteHtmlUrls hands script text to rewriteScript', () => {
+    const html = '<script id="__NEXT_DATA__" type="application/json">{"src":"/a.png"}</script><script src="/b.js"></script>';
+    const scripts = [];
+    const result = rewriteHtmlUrls(html, {
+        rewriteUrl: toLocal,
+        rewriteScript: (text) => {
+            scripts.push(text);
+            return text.includes('a.png') ? text.replace('/a.png', '/local/a.png') : null;
+        }
+    });
+    assert.deepEqual(scripts, ['{"src":"/a.png"}', '']);
+    assert.equal(result, '<script id="__NEXT_DATA__" type="application/json">{"src":"/local/a.png"}</script><script src="/local/b.js"></script>');
+});
+
+test('rewriteHtmlUrls rewrites <style> blocks and style attributes', () => {
+    const html = '<style>.a { background: url("/a.png") }</style><div style="color: red; background:url(/b.png)"></div>';
+    assert.equal(rewriteHtmlUrls(html, { rewriteUrl: toLocal }),
+        '<style>.a { background: url("/local/a.png") }</style><div style="color: red; background:url(/local/b.png)"></div>');
+});
+
+test('rewriteHtmlUrls rewrites each occurrence of a repeated URL once', () => {
+    const html = '<img src="/a.png"><img src="/a.png" srcset="/a.png 2x"><p style="background:url(/a.png)"></p>';
+    assert.equal(rewriteHtmlUrls(html, { rewriteUrl: toLocal }),
+        '<img src="/local/a.png"><img src="/local/a.png" srcset="/local/a.png 2x"><p style="background:url(/local/a.png)"></p>');
+});
+
+test('rewriteHtmlUrls skips anchors, data:, mailto: and meta text', () => {
+    const seen = [];
+    const html = '<a href="#top">t</a><a href="mailto:a@b.test">m</a><img src="data:image/png;base64,AA">'
+        + '<meta name="description" content="What is /a.png?"><meta property="og:image" content="https://x.test/og.png">';
+    rewriteHtmlUrls(html, { rewriteUrl: (url) => seen.push(url) && null });
+    assert.deepEqual(seen, ['https://x.test/og.png']);
+});
+
+test('forEachHtmlReference reports what rewriteHtmlUrls rewrites', () => {
+    const references = [];
+    forEachHtmlReference('<a href=/p>p</a><img data-src="/a.png"><script>"/b.png"</script>', (url, { tagName, attribute }) => {
+        references.push([tagName, attribute, url]);
+    });
+    assert.deepEqual(references, [['a', 'href', '/p'], ['img', 'data-src', '/a.png']]);
+});
+
+test('rewriteCssUrls rewrites repeated identical url() references once each', () => {
+    const css = '.a{background:url(/x.png)}\n.b{background:url(/x.png), url("/x.png")}';
+    assert.equal(rewriteCssUrls(css, toLocal),
+        '.a{background:url(/local/x.png)}\n.b{background:url(/local/x.png), url("/local/x.png")}');
+});
+
+test('rewriteCssUrls rewrites @import strings and url()', () => {
+    const css = '@import "/a.css";\n@import url(\'/b.css\') screen;\n@import url(/c.css);';
+    assert.equal(rewriteCssUrls(css, toLocal),
+        '@import "/local/a.css";\n@import url(\'/local/b.css\') screen;\n@import url(/local/c.css);');
+});
+
+test('rewriteCssUrls rewrites image-set strings', () => {
+    const css = '.a{background-image:image-set("/a.png" 1x, url(/b.png) 2x);mask:-webkit-image-set(\'/c.png\' 1x)}';
+    assert.equal(rewriteCssUrls(css, toLocal),
+        '.a{background-image:image-set("/local/a.png" 1x, url(/local/b.png) 2x);mask:-webkit-image-set(\'/local/c.png\' 1x)}');
+});
+
+test('rewriteCssUrls keeps formatting and skips data: and fragment references', () => {
+    const css = '/* theme */\n.a {\n  mask: url(#m);\n  background: url(data:image/png;base64,AA);\n}\n';
+    assert.equal(rewriteCssUrls(css, toLocal), css);
+});
+
+test('rewriteCssUrls quotes a new URL that can not be unquoted', () => {
+    assert.equal(rewriteCssUrls('.a{background:url(/a.png)}', () => 'my file.png'), '.a{background:url("my file.png")}');
+});
+
+test('forEachCssReference still finds url() in a stylesheet postcss cannot parse', () => {
+    const references = [];
+    forEachCssReference('.a{background:url(/a.png)', url => references.push(url));
+    assert.deepEqual(references, ['/a.png']);
+});
+
+test('rewriteCssUrls still rewrites url() in a stylesheet or <style> block postcss cannot parse', () => {
+    assert.equal(rewriteCssUrls('.a{background:url(/a.png) /* x */', toLocal), '.a{background:url(/local/a.png) /* x */');
+    assert.equal(rewriteHtmlUrls('<style>.a{mask:url("/m.svg")</style>', { rewriteUrl: toLocal }),
+        '<style>.a{mask:url("/local/m.svg")</style>');
+});
@@ -0,0 +1,114 @@
+/**
+ * URL Filter Module
+ *
+ * This module decides which discovered page URLs the crawler should follow, based on
+ * include/exclude patterns and an optional path prefix (scope). Patterns are matched
+ * against the URL path and can be globs (`/api-reference/**`, `/blog/*`) or regular
+ * expressions written between slashes (`/\/v[0-9]+\//i`).
+ */
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * `**` matches across path segments, `*` and `?` stay within a segment,
+ * and a trailing `/**` also matches the directory itself.
+ * @param {string} glob - The glob pattern
+ * @returns {RegExp} - A regular expression matching whole paths
+ */
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // A trailing "/**" matches the prefix itself as well as everything below it
+            if (source.endsWith('\\/') && i + 2 === glob.length) {
+                source = source.slice(0, -2) + '(?:\\/.*)?';
+            } else {
+                source += '.*';
+            }
+            i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compile a user-supplied pattern into a regular expression
+ * @param {string} pattern - A glob, or a regular expression written as /source/flags
+ * @returns {RegExp} - The compiled pattern
+ * @throws {Error} - If a regular expression pattern is invalid
+ */
+function compilePattern(pattern) {
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    // "/docs/" is a path, not a regular expression; only treat it as one if it has regex syntax
+    if (regexMatch && /[\\^$.*+?()[\]{}|]/.test(regexMatch[1])) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2]);
+        } catch (error) {
+            throw new Error(`Invalid regular expression pattern ${pattern}: ${error.message}`);
+        }
+    }
+
+    // Globs are matched against the path, so make them absolute
+    return globToRegExp(pattern.startsWith('/') ? pattern : `/${pattern}`);
+}
+
+/**
+ * Normalize a scope path prefix to start with a slash and have no trailing slash
+ * @param {string} scope - The path prefix, e.g. "api-reference/" or "/api-reference"
+ * @returns {string} - The normalized prefix ("" for the whole site)
+ */
+function normalizeScope(scope) {
+    if (!scope) return '';
+    const trimmed = scope.trim().replace(/\/+$/, '');
+    if (!trimmed) return '';
+    return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+}
+
+/**
+ * Create a filter for page URLs
+ * @param {Object} options - Filter options
+ * @param {string[]} [options.include] - Patterns a path must match at least one of (if any are given)
+ * @param {string[]} [options.exclude] - Patterns that exclude a path
+ * @param {string} [options.scope] - Path prefix a page must be under
+ * @returns {function(string): {allowed: boolean, reason: string|null}} - Checks a URL and says why it was rejected
+ */
+function createUrlFilter({ include = [], exclude = [], scope = '' } = {}) {
+    const includePatterns = include.map(compilePattern);
+    const excludePatterns = exclude.map(compilePattern);
+    const scopePrefix = normalizeScope(scope);
+
+    return function checkUrl(urlString) {
+        let pathname;
+        try {
+            pathname = new URL(urlString).pathname;
+        } catch (error) {
+            return { allowed: false, reason: 'invalid' };
+        }
+
+        if (scopePrefix && pathname !== scopePrefix && !pathname.startsWith(`${scopePrefix}/`)) {
+            return { allowed: false, reason: 'scope' };
+        }
+
+        if (excludePatterns.some(pattern => pattern.test(pathname))) {
+            return { allowed: false, reason: 'exclude' };
+        }
+
+        if (includePatterns.length > 0 && !includePatterns.some(pattern => pattern.test(pathname))) {
+            return { allowed: false, reason: 'include' };
+        }
+
+        return { allowed: true, reason: null };
+    };
+}
+
+module.exports = {
+    createUrlFilter,
+    compilePattern,
+    normalizeScope
+};
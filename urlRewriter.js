@@ -0,0 +1,461 @@
+/**
+ * URL Rewriter Module
+ *
+ * This module rewrites the URLs an archived page or stylesheet refers to. HTML is read with
+ * htmlparser2's tokenizer, so only real attribute values are touched, quoted or not, and the
+ * text of scripts is left alone unless the caller asks for it. Stylesheets, <style> blocks and
+ * style attributes are read with postcss and postcss-value-parser, which find every url(),
+ * image-set() string and @import. Each reference is replaced at its own offset in the source,
+ * so it is rewritten exactly once and the rest of the document keeps its formatting.
+ *
+ * Code that only reads references, such as the archive verifier and no-browser mode, walks
+ * them with forEachHtmlReference and forEachCssReference, so it finds exactly the references
+ * the rewrite phases change.
+ */
+
+const { Tokenizer, QuoteType } = require('htmlparser2');
+const postcss = require('postcss');
+const valueParser = require('postcss-value-parser');
+
+// Attributes that hold a single URL
+const URL_ATTRIBUTES = ['src', 'href', 'poster', 'data', 'background', 'xlink:href', 'data-src', 'data-href'];
+
+// Attributes that hold a list of image candidates
+const SRCSET_ATTRIBUTES = ['srcset', 'imagesrcset', 'data-srcset'];
+
+// Properties of <meta> tags whose content is a URL
+const META_URL_PROPERTIES = [
+    'og:image', 'og:image:url', 'og:image:secure_url', 'og:video', 'og:video:url', 'og:video:secure_url',
+    'og:audio', 'og:audio:url', 'og:audio:secure_url', 'twitter:image', 'twitter:image:src', 'msapplication-tileimage'
+];
+
+// Elements whose text is not markup
+const RAW_TEXT_ELEMENTS = ['script', 'style'];
+
+// CSS functions whose string arguments are image URLs
+const IMAGE_SET_FUNCTIONS = ['image-set', '-webkit-image-set'];
+
+/**
+ * Check whether a reference points at something that could be archived: not empty, not a
+ * fragment of the same document and not a data:, blob:, mailto: or javascript: URL
+ * @param {string} url - The reference as written
+ * @returns {boolean} - Whether it is worth handing to a rewrite function
+ */
+function isRewritableUrl(url) {
+    const trimmedUrl = url.trim();
+    if (!trimmedUrl || trimmedUrl.startsWith('#')) return false;
+
+    const scheme = trimmedUrl.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || /^https?$/i.test(scheme[1]);
+}
+
+/**
+ * Call a rewrite function for one reference
+ * @param {string} url - The reference as written
+ * @param {Object} context - Where it was found, passed on to the rewrite function
+ * @param {function(string, Object): ?string} rewriteUrl - Returns the new URL, or null to keep it
+ * @returns {?string} - The new URL, or null if it stays as it is
+ */
+function applyRewrite(url, context, rewriteUrl) {
+    if (!isRewritableUrl(url)) return null;
+    const trimmedUrl = url.trim();
+    const rewrittenUrl = rewriteUrl(trimmedUrl, context);
+    return typeof rewrittenUrl === 'string' && rewrittenUrl !== trimmedUrl ? rewrittenUrl : null;
+}
+
+/**
+ * Split a srcset value into its image candidates, following the HTML parsing rules: a URL
+ * runs to the next whitespace, and its descriptors run to the next comma outside parentheses
+ * @param {string} srcset - The attribute value
+ * @returns {Array<{url: string, descriptors: string}>} - The candidates
+ */
+function parseSrcset(srcset) {
+    const candidates = [];
+    let position = 0;
+
+    while (position < srcset.length) {
+        while (position < srcset.length && /[\s,]/.test(srcset[position])) position++;
+        if (position >= srcset.length) break;
+
+        const urlStart = position;
+        while (position < srcset.length && !/\s/.test(srcset[position])) position++;
+        const url = srcset.slice(urlStart, position);
+
+        // A URL that ends with a comma has no descriptors
+        if (url.endsWith(',')) {
+            candidates.push({ url: url.replace(/,+$/, ''), descriptors: '' });
+            continue;
+        }
+
+        const descriptorsStart = position;
+        let depth = 0;
+        while (position < srcset.length && (depth > 0 || srcset[position] !== ',')) {
+            if (srcset[position] === '(') depth++;
+            if (srcset[position] === ')') depth = Math.max(0, depth - 1);
+            position++;
+        }
+        candidates.push({ url, descriptors: srcset.slice(descriptorsStart, position).trim() });
+    }
+
+    return candidates;
+}
+
+/**
+ * Rewrite the URLs of a srcset value
+ * @param {string} srcset - The attribute value
+ * @param {Object} context - Where it was found
+ * @param {function(string, Object): ?string} rewriteUrl - Returns the new URL, or null to keep it
+ * @returns {?string} - The new value, or null if no URL changed
+ */
+function rewriteSrcset(srcset, context, rewriteUrl) {
+    let changed = false;
+    const candidates = parseSrcset(srcset).map(candidate => {
+        const rewrittenUrl = applyRewrite(candidate.url, context, rewriteUrl);
+        if (rewrittenUrl === null) return candidate;
+        changed = true;
+        return { ...candidate, url: rewrittenUrl };
+    });
+
+    if (!changed) return null;
+    return candidates.map(({ url, descriptors }) => (descriptors ? `${url} ${descriptors}` : url)).join(', ');
+}
+
+/**
+ * Rewrite the url() references and image-set() strings of a CSS value, such as a declaration
+ * value or the contents of a style attribute
+ * @param {string} value - The CSS value
+ * @param {Object} context - Where it was found
+ * @param {function(string, Object): ?string} rewriteUrl - Returns the new URL, or null to keep it
+ * @param {boolean} [leadingString=false] - Whether a string at the start is a URL too, as in @import
+ * @returns {?string} - The new value, or null if no URL changed
+ */
+function rewriteCssValue(value, context, rewriteUrl, leadingString = false) {
+    // Most values have no URL at all; skip parsing them
+    if (!leadingString && !/url\(|image-set\(/i.test(value)) return null;
+
+    const parsedValue = valueParser(value);
+    let changed = false;
+
+    const rewriteStringNode = (node) => {
+        const rewrittenUrl = applyRewrite(node.value, context, rewriteUrl);
+        if (rewrittenUrl === null) return;
+        node.value = rewrittenUrl.replace(new RegExp(`[\\\\${node.quote}]`, 'g'), '\\$&');
+        changed = true;
+    };
+
+    if (leadingString) {
+        const firstNode = parsedValue.nodes.find(node => node.type !== 'space');
+        if (firstNode && firstNode.type === 'string') rewriteStringNode(firstNode);
+    }
+
+    parsedValue.walk(node => {
+        if (node.type !== 'function') return;
+        const functionName = node.value.toLowerCase();
+
+        if (functionName === 'url') {
+            const [argument] = node.nodes;
+            if (!argument) return false;
+            if (argument.type === 'string') {
+                rewriteStringNode(argument);
+                return false;
+            }
+
+            const rewrittenUrl = applyRewrite(argument.value, context, rewriteUrl);
+            if (rewrittenUrl !== null) {
+                // An unquoted URL can't contain whitespace, quotes or parentheses
+                node.nodes = [/[\s'"()\\]/.test(rewrittenUrl)
+                    ? { type: 'string', quote: '"', value: rewrittenUrl.replace(/["\\]/g, '\\$&') }
+                    : { ...argument, value: rewrittenUrl }];
+                changed = true;
+            }
+            return false;
+        }
+
+        if (IMAGE_SET_FUNCTIONS.includes(functionName)) {
+            node.nodes.filter(argument => argument.type === 'string').forEach(rewriteStringNode);
+        }
+    });
+
+    return changed ? parsedValue.toString() : null;
+}
+
+/**
+ * Rewrite the URLs in a stylesheet: url() and image-set() in every declaration, and @import.
+ * A stylesheet postcss can't parse, which the browser may still read, has the url() and
+ * image-set() references in its raw text rewritten instead.
+ * @param {string} css - The stylesheet
+ * @param {function(string, Object): ?string} rewriteUrl - Called with each URL and a context of
+ *   { kind: 'css' }; returns the new URL, or null to keep it
+ * @param {Object} [context={}] - More context to pass to rewriteUrl
+ * @returns {string} - The stylesheet with its URLs rewritten
+ */
+function rewriteCssUrls(css, rewriteUrl, context = {}) {
+    const cssContext = { ...context, kind: 'css' };
+    let root;
+    try {
+        root = postcss.parse(css);
+    } catch (error) {
+        return rewriteCssValue(css, cssContext, rewriteUrl) ?? css;
+    }
+    let changed = false;
+
+    root.walkDecls(declaration => {
+        const rewrittenValue = rewriteCssValue(declaration.value, cssContext, rewriteUrl);
+        if (rewrittenValue !== null) {
+            declaration.value = rewrittenValue;
+            changed = true;
+        }
+    });
+
+    root.walkAtRules(/^import$/i, atRule => {
+        const rewrittenParams = rewriteCssValue(atRule.params, cssContext, rewriteUrl, true);
+        if (rewrittenParams !== null) {
+            atRule.params = rewrittenParams;
+            changed = true;
+        }
+    });
+
+    return changed ? root.toString() : css;
+}
+
+/**
+ * Call a function for every url(), image-set() string and @import of a stylesheet, as
+ * rewriteCssUrls finds them
+ * @param {string} css - The stylesheet
+ * @param {function(string, Object): void} callback - Called with each URL and a context of { kind: 'css' }
+ * @param {Object} [context={}] - More context to pass to callback
+ */
+function forEachCssReference(css, callback, context = {}) {
+    const findUrl = (url, urlContext) => {
+        callback(url, urlContext);
+        return null;
+    };
+    rewriteCssUrls(css, findUrl, context);
+}
+
+/**
+ * Walk the tags of an HTML document with htmlparser2's tokenizer. Comments are skipped, and
+ * the text of <script> and <style> is passed to onRawText instead of being read as markup.
+ * @param {string} html - The document
+ * @param {Object} handlers - Functions to call; each is optional
+ * @param {function(Object): void} [handlers.onOpenTag] - Called with each start tag as { name, attributes,
+ *   start, end, selfClosing }, where attributes lists { name, value, quote, valueStart, valueEnd } with
+ *   decoded values, and the offsets are positions in html
+ * @param {function(Object, string, number, number): void} [handlers.onRawText] - Called with the start tag,
+ *   the text and its start and end offsets for each <script> and <style>
+ * @param {function(Object): void} [handlers.onCloseTag] - Called with each end tag as { name, start, end }
+ */
+function walkHtml(html, { onOpenTag, onRawText, onCloseTag } = {}) {
+    let tag = null;
+    let attribute = null;
+    let rawTextTag = null;
+
+    const finishOpenTag = (endIndex, selfClosing) => {
+        if (!tag) return;
+        tag.end = endIndex + 1;
+        tag.selfClosing = selfClosing;
+        if (onOpenTag) onOpenTag(tag);
+        rawTextTag = !selfClosing && RAW_TEXT_ELEMENTS.includes(tag.name) ? tag : null;
+        tag = null;
+    };
+
+    const tokenizer = new Tokenizer({ decodeEntities: true }, {
+        onopentagname(start, endIndex) {
+            // start is the tag name; the tag starts at its "<"
+            tag = { name: html.slice(start, endIndex).toLowerCase(), attributes: [], start: start - 1, end: endIndex, selfClosing: false };
+        },
+        onattribname(start, endIndex) {
+            attribute = { name: html.slice(start, endIndex).toLowerCase(), value: '', nameEnd: endIndex };
+        },
+        onattribdata(start, endIndex) {
+            attribute.value += html.slice(start, endIndex);
+        },
+        onattribentity(codepoint) {
+            attribute.value += String.fromCodePoint(codepoint);
+        },
+        onattribend(quote, endIndex) {
+            const { name, value, nameEnd } = attribute;
+            attribute = null;
+            if (quote === QuoteType.NoValue) {
+                tag.attributes.push({ name, value, quote, valueStart: nameEnd, valueEnd: nameEnd });
+                return;
+            }
+
+            // The value starts after the "=", the whitespace around it and the opening quote
+            const isQuoted = quote === QuoteType.Single || quote === QuoteType.Double;
+            const valueStart = nameEnd + html.slice(nameEnd, endIndex).match(/^\s*=\s*/)[0].length + (isQuoted ? 1 : 0);
+            const valueEnd = isQuoted ? endIndex - 1 : endIndex;
+            tag.attributes.push({ name, value, quote, valueStart, valueEnd });
+        },
+        onopentagend(endIndex) {
+            finishOpenTag(endIndex, false);
+        },
+        onselfclosingtag(endIndex) {
+            finishOpenTag(endIndex, true);
+        },
+        onclosetag(start, endIndex) {
+            const name = html.slice(start, endIndex).toLowerCase();
+            if (rawTextTag && name === rawTextTag.name && onRawText) {
+                // start is the tag name; the text ends before its "</"
+                onRawText(rawTextTag, html.slice(rawTextTag.end, start - 2), rawTextTag.end, start - 2);
+            }
+            rawTextTag = null;
+
+            if (onCloseTag) {
+                const tagEnd = html.indexOf('>', endIndex);
+                onCloseTag({ name, start: start - 2, end: tagEnd === -1 ? html.length : tagEnd + 1 });
+            }
+        },
+        oncdata() {},
+        oncomment() {},
+        ondeclaration() {},
+        onend() {},
+        onprocessinginstruction() {},
+        ontext() {},
+        ontextentity() {}
+    });
+    tokenizer.write(html);
+    tokenizer.end();
+}
+
+/**
+ * Get the value of an attribute of a tag found by walkHtml
+ * @param {Object} tag - The start tag
+ * @param {string} name - The lower-case attribute name
+ * @returns {string|null} - The decoded value of its first occurrence, or null if the tag doesn't have it
+ */
+function getAttribute(tag, name) {
+    const attribute = tag.attributes.find(candidate => candidate.name === name);
+    return attribute ? attribute.value : null;
+}
+
+/**
+ * Replace ranges of a text. Ranges that overlap one replaced before them are skipped, so an
+ * element removed as a whole takes what was found inside it along.
+ * @param {string} text - The text
+ * @param {Array<{start: number, end: number, text: string}>} edits - The ranges and their new text
+ * @returns {string} - The text with the ranges replaced
+ */
+function replaceRanges(text, edits) {
+    if (edits.length === 0) return text;
+
+    let result = '';
+    let position = 0;
+    for (const edit of [...edits].sort((a, b) => a.start - b.start)) {
+        if (edit.start < position) continue;
+        result += text.slice(position, edit.start) + edit.text;
+        position = edit.end;
+    }
+    return result + text.slice(position);
+}
+
+/**
+ * Write an attribute value back in the quotes it had. A value that was unquoted gets double
+ * quotes if it no longer can be.
+ * @param {string} value - The new value
+ * @param {QuoteType} quote - How the value was quoted
+ * @returns {string} - The source text for the value
+ */
+function encodeAttributeValue(value, quote) {
+    const encodedValue = value.replace(/&/g, '&amp;');
+    if (quote === QuoteType.Single) return encodedValue.replace(/'/g, '&#39;');
+    if (quote === QuoteType.Double) return encodedValue.replace(/"/g, '&quot;');
+    return /[\s"'=<>`]/.test(encodedValue) || encodedValue === '' ? `"${encodedValue.replace(/"/g, '&quot;')}"` : encodedValue;
+}
+
+/**
+ * Rewrite the URLs of one attribute
+ * @param {Object} tag - The start tag
+ * @param {Object} attribute - The attribute
+ * @param {function(string, Object): ?string} rewriteUrl - Returns the new URL, or null to keep it
+ * @returns {?string} - The new value, or null if no URL changed
+ */
+function rewriteAttribute(tag, attribute, rewriteUrl) {
+    const context = { tagName: tag.name, attribute: attribute.name, element: tag };
+    if (attribute.quote === QuoteType.NoValue) return null;
+
+    if (URL_ATTRIBUTES.includes(attribute.name)) {
+        return applyRewrite(attribute.value, { ...context, kind: 'attribute' }, rewriteUrl);
+    }
+    if (SRCSET_ATTRIBUTES.includes(attribute.name)) {
+        return rewriteSrcset(attribute.value, { ...context, kind: 'srcset' }, rewriteUrl);
+    }
+    if (attribute.name === 'style') {
+        return rewriteCssValue(attribute.value, { ...context, kind: 'css' }, rewriteUrl);
+    }
+    // Images and media of Open Graph and Twitter cards; other meta content is text
+    if (attribute.name === 'content' && tag.name === 'meta') {
+        const property = (getAttribute(tag, 'property') || getAttribute(tag, 'name') || '').toLowerCase();
+        if (META_URL_PROPERTIES.includes(property)) {
+            return applyRewrite(attribute.value, { ...context, kind: 'attribute' }, rewriteUrl);
+        }
+    }
+    return null;
+}
+
+/**
+ * Rewrite the URLs in an HTML document: the URL and srcset attributes of every element, the
+ * url() references of <style> blocks and style attributes, and the images of social cards in
+ * <meta content>. The text of scripts is only changed by rewriteScript.
+ * @param {string} html - The document
+ * @param {Object} rewriters - Functions that return new text, or null to keep it
+ * @param {function(string, Object): ?string} rewriters.rewriteUrl - Called with each URL and a context of
+ *   { tagName, attribute, kind, element }, where kind is 'attribute', 'srcset' or 'css' and element is
+ *   the start tag from walkHtml
+ * @param {function(string): ?string} [rewriters.rewriteScript] - Called with the text of each inline script
+ * @returns {string} - The document with its URLs rewritten
+ */
+function rewriteHtmlUrls(html, { rewriteUrl, rewriteScript }) {
+    const edits = [];
+
+    walkHtml(html, {
+        onOpenTag(tag) {
+            for (const attribute of tag.attributes) {
+                const rewrittenValue = rewriteAttribute(tag, attribute, rewriteUrl);
+                if (rewrittenValue !== null) {
+                    edits.push({ start: attribute.valueStart, end: attribute.valueEnd, text: encodeAttributeValue(rewrittenValue, attribute.quote) });
+                }
+            }
+        },
+        onRawText(tag, text, start, end) {
+            let rewrittenText = null;
+            if (tag.name === 'script') {
+                rewrittenText = rewriteScript ? rewriteScript(text) : null;
+            } else {
+                const rewrittenCss = rewriteCssUrls(text, rewriteUrl, { tagName: 'style', attribute: null, element: tag });
+                rewrittenText = rewrittenCss !== text ? rewrittenCss : null;
+            }
+            if (rewrittenText !== null) {
+                edits.push({ start, end, text: rewrittenText });
+            }
+        }
+    });
+
+    return replaceRanges(html, edits);
+}
+
+/**
+ * Call a function for every URL in an HTML document that rewriteHtmlUrls would rewrite, so
+ * that other code reads references exactly the way the archive's URLs were rewritten
+ * @param {string} html - The document
+ * @param {function(string, Object): void} callback - Called with each URL and its context, as rewriteUrl is
+ */
+function forEachHtmlReference(html, callback) {
+    rewriteHtmlUrls(html, {
+        rewriteUrl: (url, context) => {
+            callback(url, context);
+            return null;
+        }
+    });
+}
+
+module.exports = {
+    walkHtml,
+    getAttribute,
+    replaceRanges,
+    parseSrcset,
+    rewriteHtmlUrls,
+    rewriteCssUrls,
+    forEachHtmlReference,
+    forEachCssReference
+};